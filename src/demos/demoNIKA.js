@@ -9,6 +9,8 @@ import { Hands } from '@mediapipe/hands';
 import { Camera } from '@mediapipe/camera_utils';
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
 import { LoadingManager } from 'three';
+import { AnimationGraph, parseAnimationGraph } from '../js/animation-graph.js';
+import { registerShortcut } from '../js/shortcuts.js';
 
 // Global variables 
 let scene, camera, renderer;
@@ -17,6 +19,7 @@ let meshloader = new GLTFLoader(manager);
 let nika;
 let wiggleBones = [];
 let rootBone; // Reference to the root bone for hand control
+let nikaGraph = null; // Plays any clips baked into the model
 
 // Configuration constants - with simplified parameters
 const CONFIG = {
@@ -90,6 +93,13 @@ manager.onLoad = function() {
 meshloader.load('mesh/Nika_01.glb', (glb) => {
   nika = glb.scene;
 
+  // Loop the first baked clip through an animation graph
+  if (glb.animations.length) {
+    nikaGraph = new AnimationGraph(nika, glb.animations, parseAnimationGraph({
+      states: { idle: { clip: glb.animations[0].name, loop: 'repeat' } }
+    }, 'nika'));
+  }
+
   // Find meshes with morph targets (shape keys)
   nika.traverse((object) => {
     if (object.isMesh && object.morphTargetInfluences && object.morphTargetInfluences.length > 0) {
@@ -474,70 +484,8 @@ function setupHandTracking() {
     renderer.setSize(window.innerWidth, window.innerHeight);
   });
 
-  // Enhanced keyboard controls with smoothing options
-  window.addEventListener('keydown', (event) => {
-    switch(event.key) {
-      // Scale adjustments
-      case '1': CONFIG.scaleFactorX = Math.max(10, CONFIG.scaleFactorX - 5); break;
-      case '2': CONFIG.scaleFactorX = CONFIG.scaleFactorX + 5; break;
-      case '3': CONFIG.scaleFactorY = Math.max(10, CONFIG.scaleFactorY - 5); break;
-      case '4': CONFIG.scaleFactorY = CONFIG.scaleFactorY + 5; break;
-      
-      // Dampening adjustment
-      case 's': CONFIG.dampFactor = Math.max(0.1, CONFIG.dampFactor - 0.05); break;
-      case 'd': CONFIG.dampFactor = Math.min(0.9, CONFIG.dampFactor + 0.05); break;
-      
-      // Threshold adjustment
-      case 't': CONFIG.fingerThreshold = Math.max(0.05, CONFIG.fingerThreshold - 0.01); break;
-      case 'g': CONFIG.fingerThreshold = Math.min(0.2, CONFIG.fingerThreshold + 0.01); break;
-      
-      // Smoothing adjustments
-      case 'm': CONFIG.smoothing.enabled = !CONFIG.smoothing.enabled; break; // Toggle smoothing
-      case 'p': CONFIG.smoothing.positionWeight = Math.max(0.1, Math.min(0.9, CONFIG.smoothing.positionWeight + 0.05)); break; // Increase position weight
-      case 'o': CONFIG.smoothing.positionWeight = Math.max(0.1, Math.min(0.9, CONFIG.smoothing.positionWeight - 0.05)); break; // Decrease position weight
-      case 'v': CONFIG.smoothing.velocityWeight = Math.max(0.1, Math.min(0.5, CONFIG.smoothing.velocityWeight + 0.05)); break; // Increase velocity weight
-      case 'c': CONFIG.smoothing.velocityWeight = Math.max(0.0, Math.min(0.5, CONFIG.smoothing.velocityWeight - 0.05)); break; // Decrease velocity weight
-      case 'h': CONFIG.smoothing.historySize = Math.max(2, CONFIG.smoothing.historySize - 1); break; // Decrease history size
-      case 'j': CONFIG.smoothing.historySize = Math.min(20, CONFIG.smoothing.historySize + 1); break; // Increase history size
-      
-      // Reset speed adjustment
-      case 'f': CONFIG.resetSpeed = Math.max(0.01, CONFIG.resetSpeed - 0.01); break; // Slower reset
-      case 'g': CONFIG.resetSpeed = Math.min(0.3, CONFIG.resetSpeed + 0.01); break; // Faster reset
-      
-      // Offset adjustments
-      case 'ArrowLeft': CONFIG.offsetX -= 5; break;
-      case 'ArrowRight': CONFIG.offsetX += 5; break;
-      case 'ArrowUp': CONFIG.offsetY += 5; break;
-      case 'ArrowDown': CONFIG.offsetY -= 5; break;
-      
-      // Toggle flipping
-      case 'x': CONFIG.flipX = !CONFIG.flipX; break;
-      case 'y': CONFIG.flipY = !CONFIG.flipY; break;
-      
-      // Reset to defaults
-      case 'r': 
-        CONFIG.smoothing.enabled = true;
-        CONFIG.smoothing.historySize = 10;
-        CONFIG.smoothing.positionWeight = 0.8;
-        CONFIG.smoothing.velocityWeight = 0.2;
-        CONFIG.dampFactor = 0.3;
-        CONFIG.resetSpeed = 0.1;
-        break;
-
-        // Toggle devil shape key animation
-    case 'l':
-      if (meshWithShapeKeys && devilShapeKeyIndex >= 0) {
-        isDevilAnimating = true;
-        devilTargetValue = meshWithShapeKeys.morphTargetInfluences[devilShapeKeyIndex] > 0.5 ? 0 : 1;
-        debugInfo.innerHTML += `<br><span style="color: #ff0000;">Devil mode: ${devilTargetValue > 0.5 ? 'ON' : 'OFF'}</span>`;
-      } else {
-        debugInfo.innerHTML += `<br><span style="color: #ff0000;">Devil shape key not found!</span>`;
-      }
-      break;
-  
-    }
-    
-    // Update debug display with current settings
+  // Enhanced keyboard controls with smoothing options, listed with ?
+  const showSettings = () => {
     debugInfo.innerHTML = `
       Scale X: ${CONFIG.scaleFactorX.toFixed(1)}, Y: ${CONFIG.scaleFactorY.toFixed(1)}<br>
       Dampening: ${CONFIG.dampFactor.toFixed(2)}<br>
@@ -549,8 +497,75 @@ function setupHandTracking() {
       - History Size: ${CONFIG.smoothing.historySize}<br>
       Offset: (${CONFIG.offsetX},${CONFIG.offsetY})<br>
       Flip: X=${CONFIG.flipX}, Y=${CONFIG.flipY}<br>
-      <span style="color: #aaffaa;">Press 'r' to reset all settings</span>
+      <span style="color: #aaffaa;">Press 'r' to reset all settings, '?' for all keys</span>
     `;
+  };
+  const setting = (id, keys, group, description, apply) => registerShortcut(id, {
+    keys, group, description, repeat: true,
+    handler: () => {
+      apply();
+      showSettings();
+    }
+  });
+
+  // Scale adjustments
+  setting('nika.scaleX.down', '1', 'Scale', 'Scale X down', () => { CONFIG.scaleFactorX = Math.max(10, CONFIG.scaleFactorX - 5); });
+  setting('nika.scaleX.up', '2', 'Scale', 'Scale X up', () => { CONFIG.scaleFactorX = CONFIG.scaleFactorX + 5; });
+  setting('nika.scaleY.down', '3', 'Scale', 'Scale Y down', () => { CONFIG.scaleFactorY = Math.max(10, CONFIG.scaleFactorY - 5); });
+  setting('nika.scaleY.up', '4', 'Scale', 'Scale Y up', () => { CONFIG.scaleFactorY = CONFIG.scaleFactorY + 5; });
+
+  // Dampening and threshold adjustment
+  setting('nika.damp.down', 's', 'Tracking', 'Less dampening', () => { CONFIG.dampFactor = Math.max(0.1, CONFIG.dampFactor - 0.05); });
+  setting('nika.damp.up', 'd', 'Tracking', 'More dampening', () => { CONFIG.dampFactor = Math.min(0.9, CONFIG.dampFactor + 0.05); });
+  setting('nika.threshold.down', 't', 'Tracking', 'Lower finger threshold', () => { CONFIG.fingerThreshold = Math.max(0.05, CONFIG.fingerThreshold - 0.01); });
+  setting('nika.threshold.up', 'g', 'Tracking', 'Raise finger threshold', () => { CONFIG.fingerThreshold = Math.min(0.2, CONFIG.fingerThreshold + 0.01); });
+
+  // Reset speed adjustment ('g' used to be bound here too and never fired)
+  setting('nika.resetSpeed.down', 'f', 'Tracking', 'Slower reset', () => { CONFIG.resetSpeed = Math.max(0.01, CONFIG.resetSpeed - 0.01); });
+  setting('nika.resetSpeed.up', 'Shift+F', 'Tracking', 'Faster reset', () => { CONFIG.resetSpeed = Math.min(0.3, CONFIG.resetSpeed + 0.01); });
+
+  // Smoothing adjustments
+  setting('nika.smoothing.toggle', 'm', 'Smoothing', 'Toggle smoothing', () => { CONFIG.smoothing.enabled = !CONFIG.smoothing.enabled; });
+  setting('nika.smoothing.position.up', 'p', 'Smoothing', 'Increase position weight', () => { CONFIG.smoothing.positionWeight = Math.max(0.1, Math.min(0.9, CONFIG.smoothing.positionWeight + 0.05)); });
+  setting('nika.smoothing.position.down', 'o', 'Smoothing', 'Decrease position weight', () => { CONFIG.smoothing.positionWeight = Math.max(0.1, Math.min(0.9, CONFIG.smoothing.positionWeight - 0.05)); });
+  setting('nika.smoothing.velocity.up', 'v', 'Smoothing', 'Increase velocity weight', () => { CONFIG.smoothing.velocityWeight = Math.max(0.1, Math.min(0.5, CONFIG.smoothing.velocityWeight + 0.05)); });
+  setting('nika.smoothing.velocity.down', 'c', 'Smoothing', 'Decrease velocity weight', () => { CONFIG.smoothing.velocityWeight = Math.max(0.0, Math.min(0.5, CONFIG.smoothing.velocityWeight - 0.05)); });
+  setting('nika.smoothing.history.down', 'h', 'Smoothing', 'Shorter history', () => { CONFIG.smoothing.historySize = Math.max(2, CONFIG.smoothing.historySize - 1); });
+  setting('nika.smoothing.history.up', 'j', 'Smoothing', 'Longer history', () => { CONFIG.smoothing.historySize = Math.min(20, CONFIG.smoothing.historySize + 1); });
+
+  // Offset adjustments
+  setting('nika.offset.left', 'ArrowLeft', 'Offset', 'Move left', () => { CONFIG.offsetX -= 5; });
+  setting('nika.offset.right', 'ArrowRight', 'Offset', 'Move right', () => { CONFIG.offsetX += 5; });
+  setting('nika.offset.up', 'ArrowUp', 'Offset', 'Move up', () => { CONFIG.offsetY += 5; });
+  setting('nika.offset.down', 'ArrowDown', 'Offset', 'Move down', () => { CONFIG.offsetY -= 5; });
+
+  // Toggle flipping
+  setting('nika.flipX', 'x', 'Offset', 'Flip X', () => { CONFIG.flipX = !CONFIG.flipX; });
+  setting('nika.flipY', 'y', 'Offset', 'Flip Y', () => { CONFIG.flipY = !CONFIG.flipY; });
+
+  // Reset to defaults
+  setting('nika.reset', 'r', 'General', 'Reset all settings', () => {
+    CONFIG.smoothing.enabled = true;
+    CONFIG.smoothing.historySize = 10;
+    CONFIG.smoothing.positionWeight = 0.8;
+    CONFIG.smoothing.velocityWeight = 0.2;
+    CONFIG.dampFactor = 0.3;
+    CONFIG.resetSpeed = 0.1;
+  });
+
+  // Toggle devil shape key animation
+  registerShortcut('nika.devil', {
+    keys: 'l', group: 'General', description: 'Toggle devil shape key',
+    handler: () => {
+      showSettings();
+      if (meshWithShapeKeys && devilShapeKeyIndex >= 0) {
+        isDevilAnimating = true;
+        devilTargetValue = meshWithShapeKeys.morphTargetInfluences[devilShapeKeyIndex] > 0.5 ? 0 : 1;
+        debugInfo.innerHTML += `<br><span style="color: #ff0000;">Devil mode: ${devilTargetValue > 0.5 ? 'ON' : 'OFF'}</span>`;
+      } else {
+        debugInfo.innerHTML += `<br><span style="color: #ff0000;">Devil shape key not found!</span>`;
+      }
+    }
   });
   
   // Export for external access if needed
@@ -561,6 +576,8 @@ function setupHandTracking() {
 function animate() {
   requestAnimationFrame(animate);
   
+  nikaGraph?.evaluate(performance.now() / 1000);
+
   // Update wiggle bones
   wiggleBones.forEach((wb) => wb.update());
 
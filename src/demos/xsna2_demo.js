@@ -12,6 +12,7 @@ import * as GrassModule from './Grass.js';
 import { createSkyPlane, updateCloudUniforms } from '../js/sky-material.js';
 import { ChromaticAberrationPass } from '../js/chromatic-aberration.js';
 import { DisplacementScenePass } from '../js/DisplacementScenePass.js';
+import { loadLyrics } from '../js/lyrics-loader.js';
 import * as CursorPlane from '../js/cursor-plane.js';
 
 // Global variables
@@ -48,17 +49,10 @@ const config = {
   }
 };
 
-const textAppearTimes = [
-  { time: 0.593, text: "თვალებს" }, { time: 26.593, text: "თვალებს" },
-  { time: 27.593, text: "ადევს" }, { time: 28.593, text: "ნამი" },
-  { time: 29.777, text: "ზღვაა" }, { time: 30.777, text: "ძაან" },
-  { time: 31.777, text: "წყნარი" }, { time: 32.890, text: "ცაზე" },
-  { time: 33.890, text: "ფანტავს ელვებს" }, { time: 35, text: "დაუოკებელი" },
-  { time: 36.243, text: "ბრაზი" }, { time: 37.8, text: "ახალს" },
-  { time: 38.8, text: "არაფერს" }, { time: 39.8, text: "არ გეტყვი" }
-];
+// Lyric cues loaded from the lyrics file
+let textAppearTimes = [];
 
-let resourcesLoaded = { hdri: false, font: false, displacement: false, glb: false, txthdr: false };
+let resourcesLoaded = { hdri: false, font: false, displacement: false, glb: false, txthdr: false, lyrics: false };
 
 // Loading manager
 const manager = new THREE.LoadingManager();
@@ -273,6 +267,15 @@ function loadResources() {
     }
   );
 
+  // Load lyric timings
+  loadLyrics('lyrics/xsna.lrc', manager, progress => GUI.updateLoadingProgress('lyrics', progress))
+    .then(cues => { textAppearTimes = cues; })
+    .catch(error => console.error('Error loading lyrics:', error))
+    .finally(() => {
+      resourcesLoaded.lyrics = true;
+      checkAllResourcesLoaded();
+    });
+
   loadGLBModel();
   AudioController.loadAudio('audio/xsna.mp3');
 }
@@ -0,0 +1,115 @@
+// animation-controller.js - Pose an AnimationMixer directly from audio time
+import * as THREE from 'three';
+
+/**
+ * Computes every clip's local time and weight from an absolute time instead
+ * of accumulating frame deltas, so a seek gives the same pose as playback.
+ * Cue handlers adjust start times and weights, then evaluate() applies them
+ */
+class AnimationController {
+  constructor(root) {
+    this.mixer = new THREE.AnimationMixer(root);
+    this.clips = new Map();
+  }
+
+  /**
+   * Register a clip. Local time is (time - start) * timeScale, wrapped for
+   * looping clips and clamped for one-shot clips. Unclamped one-shot clips
+   * drop out once they finish
+   */
+  add(clip, { loop = true, timeScale = 1, start = 0, weight = 1, clamp = true, blendMode = THREE.NormalAnimationBlendMode } = {}) {
+    const action = this.mixer.clipAction(clip, null, blendMode);
+    // Time is set explicitly every frame; LoopOnce keeps the mixer from wrapping it
+    action.setLoop(THREE.LoopOnce);
+    action.clampWhenFinished = true;
+    action.play();
+
+    const entry = { clip, action, loop, timeScale, start, weight, clamp, pausedAt: null };
+    this.clips.set(clip.name, entry);
+    return entry;
+  }
+
+  get(name) {
+    return this.clips.get(name) || null;
+  }
+
+  getAction(name) {
+    return this.clips.get(name)?.action || null;
+  }
+
+  setWeight(name, weight) {
+    const entry = this.clips.get(name);
+    if (entry) entry.weight = weight;
+    return this;
+  }
+
+  // Time at which the clip's local time is zero
+  setStart(name, start) {
+    const entry = this.clips.get(name);
+    if (entry) entry.start = start;
+    return this;
+  }
+
+  play(name) {
+    const entry = this.clips.get(name);
+    if (entry) {
+      entry.pausedAt = null;
+      if (entry.weight === 0) entry.weight = 1;
+    }
+    return this;
+  }
+
+  // Hold the clip at its last evaluated local time
+  pause(name) {
+    const entry = this.clips.get(name);
+    if (entry && entry.pausedAt === null) entry.pausedAt = entry.action.time;
+    return this;
+  }
+
+  stop(name) {
+    const entry = this.clips.get(name);
+    if (entry) {
+      entry.pausedAt = null;
+      entry.weight = 0;
+    }
+    return this;
+  }
+
+  /**
+   * Local clip time at an absolute time
+   */
+  getLocalTime(entry, time) {
+    if (entry.pausedAt !== null) return entry.pausedAt;
+
+    const duration = entry.clip.duration;
+    const local = (time - entry.start) * entry.timeScale;
+    if (duration <= 0) return 0;
+    if (entry.loop) return THREE.MathUtils.euclideanModulo(local, duration);
+    return THREE.MathUtils.clamp(local, 0, duration);
+  }
+
+  /**
+   * Pose every clip for the given time
+   */
+  evaluate(time) {
+    for (const entry of this.clips.values()) {
+      const { action } = entry;
+      const finished = !entry.loop && !entry.clamp && entry.pausedAt === null &&
+        (time - entry.start) * entry.timeScale >= entry.clip.duration;
+
+      action.enabled = true;
+      action.paused = false;
+      action.time = this.getLocalTime(entry, time);
+      action.setEffectiveWeight(finished ? 0 : entry.weight);
+    }
+    this.mixer.update(0);
+  }
+
+  dispose() {
+    this.mixer.stopAllAction();
+    for (const { clip } of this.clips.values()) this.mixer.uncacheClip(clip);
+    this.clips.clear();
+  }
+}
+
+export { AnimationController };
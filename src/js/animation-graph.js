@@ -0,0 +1,217 @@
+// animation-graph.js - JSON configured animation states, transitions and additive layers
+import * as THREE from 'three';
+import { AnimationController } from './animation-controller.js';
+import { getEasing } from './easing.js';
+import { loadJSON } from './file-loader.js';
+
+const LOOP_MODES = ['repeat', 'once'];
+
+// Load a file of named graph definitions ({ character: {...}, title: {...} })
+export function loadAnimationGraphs(path, manager) {
+  return loadJSON(path, manager, data => {
+    const graphs = {};
+    for (const [name, definition] of Object.entries(data)) {
+      graphs[name] = parseAnimationGraph(definition, name);
+    }
+    return graphs;
+  }, 'animation graph');
+}
+
+// Validate a graph definition and fill in defaults
+export function parseAnimationGraph(definition, label = 'graph') {
+  const states = {};
+  for (const [name, state] of Object.entries(definition?.states || {})) {
+    const clips = Array.isArray(state.clip) ? state.clip : [state.clip];
+    if (!clips.length || clips.some(clip => typeof clip !== 'string')) {
+      throw new Error(`${label}: state "${name}" needs a clip`);
+    }
+    const loop = state.loop || 'repeat';
+    if (!LOOP_MODES.includes(loop)) throw new Error(`${label}: state "${name}" has an unknown loop mode "${loop}"`);
+
+    states[name] = { name, clips, loop, timeScale: state.timeScale ?? 1, clamp: state.clamp ?? true };
+  }
+
+  const initial = definition?.initial ?? Object.keys(states)[0];
+  if (!states[initial]) throw new Error(`${label}: unknown initial state "${initial}"`);
+
+  const transitions = (definition.transitions || []).map((transition, index) => {
+    const from = transition.from ?? '*';
+    if (from !== '*' && !states[from]) throw new Error(`${label}: transition #${index} comes from unknown state "${from}"`);
+    if (!states[transition.to]) throw new Error(`${label}: transition #${index} goes to unknown state "${transition.to}"`);
+
+    const triggers = ['cue', 'at', 'condition'].filter(key => transition[key] !== undefined);
+    if (triggers.length !== 1) throw new Error(`${label}: transition #${index} needs exactly one of cue, at or condition`);
+    if (transition.easing) getEasing(transition.easing);
+
+    return {
+      from,
+      to: transition.to,
+      cue: transition.cue ?? null,
+      at: transition.at ?? null,
+      condition: transition.condition ?? null,
+      duration: transition.duration ?? null,
+      easing: transition.easing ?? null
+    };
+  });
+
+  const layers = (definition.layers || []).map((layer, index) => {
+    if (typeof layer.clip !== 'string') throw new Error(`${label}: layer #${index} needs a clip`);
+    return {
+      clip: layer.clip,
+      additive: layer.additive ?? true,
+      weight: layer.weight ?? 1,
+      loop: layer.loop || 'repeat',
+      timeScale: layer.timeScale ?? 1,
+      start: layer.start ?? 0
+    };
+  });
+
+  return { initial, states, transitions, layers };
+}
+
+/**
+ * Resolves which state is active at a time and blends into it. Cue and
+ * time triggered transitions are derived from the time alone; condition
+ * transitions are recorded when first observed and forgotten when time
+ * moves back before them
+ */
+class AnimationGraph {
+  constructor(root, clips, definition, { timeline = null } = {}) {
+    this.definition = definition;
+    this.timeline = timeline;
+    this.controller = new AnimationController(root);
+    this.conditions = new Map();
+    this.fired = [];
+    this.state = definition.initial;
+
+    const clipsByName = new Map(clips.map(clip => [clip.name, clip]));
+    const getClip = name => {
+      const clip = clipsByName.get(name);
+      if (!clip) throw new Error(`Animation clip "${name}" not found`);
+      return clip;
+    };
+
+    for (const state of Object.values(definition.states)) {
+      for (const name of state.clips) {
+        if (this.controller.get(name)) continue;
+        this.controller.add(getClip(name), {
+          loop: state.loop === 'repeat',
+          timeScale: state.timeScale,
+          clamp: state.clamp,
+          weight: 0
+        });
+      }
+    }
+
+    this.layers = definition.layers.map(layer => {
+      let clip = getClip(layer.clip);
+      if (layer.additive) {
+        clip = THREE.AnimationUtils.makeClipAdditive(clip.clone());
+        clip.name = `${layer.clip}.additive`;
+      }
+      return this.controller.add(clip, {
+        loop: layer.loop === 'repeat',
+        timeScale: layer.timeScale,
+        start: layer.start,
+        weight: layer.weight,
+        blendMode: layer.additive ? THREE.AdditiveAnimationBlendMode : THREE.NormalAnimationBlendMode
+      });
+    });
+  }
+
+  get mixer() {
+    return this.controller.mixer;
+  }
+
+  /**
+   * Register a named condition: fn({ time, state }) returning true fires
+   * the transitions that reference it
+   */
+  setCondition(name, fn) {
+    this.conditions.set(name, fn);
+    return this;
+  }
+
+  // Transitions with a fixed time, from a cue or an "at" value
+  getTimedEvents() {
+    const events = [];
+    for (const transition of this.definition.transitions) {
+      if (transition.at !== null) {
+        events.push({ time: transition.at, transition });
+      } else if (transition.cue !== null) {
+        const cue = this.timeline?.getCue(transition.cue);
+        if (cue) events.push({ time: cue.start, transition, cue });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Pose the graph's clips for the given time
+   */
+  evaluate(time) {
+    this.fired = this.fired.filter(event => event.time <= time);
+
+    const events = [...this.getTimedEvents(), ...this.fired]
+      .filter(event => event.time <= time)
+      .sort((a, b) => a.time - b.time);
+
+    let current = { state: this.definition.initial, start: 0 };
+    let previous = null;
+    let blend = null;
+    const enter = event => {
+      previous = current;
+      current = { state: event.transition.to, start: event.time };
+      blend = event;
+    };
+    const applies = (transition, state) =>
+      (transition.from === '*' || transition.from === state) && transition.to !== state;
+
+    for (const event of events) {
+      if (applies(event.transition, current.state)) enter(event);
+    }
+
+    for (const transition of this.definition.transitions) {
+      if (transition.condition === null || !applies(transition, current.state)) continue;
+      const condition = this.conditions.get(transition.condition);
+      if (condition?.({ time, state: current.state })) {
+        const event = { time, transition };
+        this.fired.push(event);
+        enter(event);
+      }
+    }
+
+    this.state = current.state;
+    this.applyWeights(current, previous, blend ? this.getBlendProgress(blend, time) : 1);
+    this.controller.evaluate(time);
+  }
+
+  getBlendProgress({ time: startTime, transition, cue }, time) {
+    const duration = transition.duration ?? cue?.duration ?? 0;
+    const easing = getEasing(transition.easing ?? cue?.easing);
+    const linear = duration > 0 ? THREE.MathUtils.clamp((time - startTime) / duration, 0, 1) : 1;
+    return easing(linear);
+  }
+
+  // Every state clip is silent except the state being left and the one entered
+  applyWeights(current, previous, progress) {
+    for (const state of Object.values(this.definition.states)) {
+      for (const name of state.clips) this.controller.setWeight(name, 0);
+    }
+
+    if (previous && progress < 1) {
+      for (const name of this.definition.states[previous.state].clips) {
+        this.controller.setStart(name, previous.start).setWeight(name, 1 - progress);
+      }
+    }
+    for (const name of this.definition.states[current.state].clips) {
+      this.controller.setStart(name, current.start).setWeight(name, progress);
+    }
+  }
+
+  dispose() {
+    this.controller.dispose();
+  }
+}
+
+export { AnimationGraph };
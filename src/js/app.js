@@ -13,10 +13,24 @@ import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
 import * as GUI from './gui.js';
 import * as AudioController from './audio-controller.js';
 import * as VegetationManager from './vegetation-manager.js';
+import { getSeedFromURL } from './random.js';
 import * as LoadingManager from './loading-manager.js';
+import * as QualityManager from './quality-manager.js';
 import { DepthDrivenBlurPass } from './custom-dof.js';
+import { SceneDepthPass } from './scene-depth-pass.js';
+import { FocusController } from './focus-controller.js';
 import { TAARenderPass } from 'three/examples/jsm/postprocessing/TAARenderPass.js';
 import { TextManager } from './TextManager.js';
+import { Timeline, loadCueSheet } from './timeline.js';
+import { AudioBindings, loadAudioBindings } from './audio-bindings.js';
+import * as Shortcuts from './shortcuts.js';
+import { TweakPanel } from './tweak-panel.js';
+import { PostPipeline, loadPostPipeline } from './post-pipeline.js';
+import { loadLyrics, parseLRC } from './lyrics-loader.js';
+import { loadCameraPath } from './camera-rig.js';
+import { createGLTFCameraBinding } from './gltf-camera.js';
+import { AnimationGraph, loadAnimationGraphs } from './animation-graph.js';
+import { exportVideo, downloadBlob, RESOLUTIONS } from './video-exporter.js';
 import { SimpleRiveOverlay } from './rive-overlay.js';
 import { Rive, EventType, RiveEventType, Layout,  Fit, Alignment } from '@rive-app/canvas'
 
@@ -25,6 +39,8 @@ import { Rive, EventType, RiveEventType, Layout,  Fit, Alignment } from '@rive-a
 
 
 let depthBlurPass;
+let focusController = null;
+let taaRenderPass;
 let riveOverlay;
 let rive;
 let widthNumInput;
@@ -32,6 +48,7 @@ let widthNumInput;
 // Globals
 let camera, scene, renderer, composer, bloomPass, chromaticAberrationPass, displacementScenePass, textManager;
 let isAnimating = false, animationId = null, lastTime = null, isSetupComplete = false;
+let isExporting = false;
 let skyPlane, gltfMixer, gltfModel, gltfAnimationActions = [];
 let spotlight, raycaster = new THREE.Raycaster(), mouseNDC = new THREE.Vector2();
 let mouseX = 0, mouseY = 0, font, txthdr;
@@ -47,17 +64,39 @@ const LAYERS = {
 };
 
 
-let walkAnimation = null;
-let faceUpAnimation = null;
-let hasTransitioned = false; // Track if we've already transitioned
-let isInTransition = false; // Track if we're currently transitioning
-let transitionStartTime = null; // Track when transition started
+// Animation graphs pose the character and title clips from audio time
+let animationGraphs = {};
+let characterGraph = null, titleGraph = null;
+let characterClips = [], titleClips = [];
 
-// Animation timing
-const animStartTime = 60; // When to start transitioning to faceUp
-const animEndTime = 80;  // Camera animation end time
-const transitionTime = 12; // When to start transitioning to faceUp animation
-const transitionDuration = 2.8; // Duration of the blend in seconds
+// Cue sheet timing - every timed behaviour is evaluated from audio time
+const timeline = new Timeline();
+let cameraRig = null;
+// Camera baked into the GLB, and its clip time while a camera.gltf cue is active
+let gltfCamera = null;
+let gltfCameraTime = null;
+
+// Audio feature -> scene parameter bindings, and beat/onset events since the last frame
+let audioBindings = null;
+let audioBindingDefinitions = [];
+
+// Post-processing pass descriptors, and the pipeline built from them
+let postPipelineDefinitions = [];
+let postPipeline = null;
+let beatFired = false, onsetFired = false;
+
+// Live parameter panel, built once the passes, lights and text exist
+let tweakPanel = null;
+
+// Rehearsal: pending loop start from the loop.start shortcut, and the rates playback.slower/faster step through
+let loopStartMark = null;
+const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// Sky cloud offset, advanced by audio time at config.clouds.speed
+let cloudTime = 0, lastCloudAudioTime = null;
+const renderSize = new THREE.Vector2();
+const cameraParallax = new THREE.Quaternion();
+const cameraParallaxEuler = new THREE.Euler(0, 0, 0, 'YXZ');
 
 
 let headBone = null;
@@ -79,37 +118,45 @@ const config = {
   bloom: { strength: 0.1, radius: 2, threshold: 0.1 },
   chromaticAberration: { strength: 0.01 },
   displacement: { scale: 0.5, speed: 0.2 },
+  clouds: { speed: 0.03 },
   camera: { fov: 40 },
   glb: {
     path: 'mesh/latex.glb',
     position: new THREE.Vector3(0, 0, -100),
     scale: new THREE.Vector3(1, 1, 1),
     rotation: new THREE.Euler(0, 0, 0),
-    autoplay: true
+    autoplay: true,
+    // Named glTF camera node and clip, used while a camera.gltf cue is active
+    camera: { name: null, clip: null }
   },
   titleGlb: {
     path: 'mesh/title.glb',
     position: new THREE.Vector3(0, 4, -18), // Starting position
     scale: new THREE.Vector3(0.7, 0.7, 0.7),
-    rotation: new THREE.Euler(-0.2, 0, 0),
-    animation: {
-      startTime: 0, // Start moving at 10 seconds
-      endTime: 10,   // End at 40 seconds (adjust as needed)
-      startZ: -18,   // Starting Z position
-      endZ: 10       // End Z position (past the camera)
-    }
-  }
+    rotation: new THREE.Euler(-0.2, 0, 0)
+  },
+  timeline: { path: 'data/timeline.json' },
+  animationGraphs: { path: 'data/animation-graphs.json' },
+  audioBindings: { path: 'data/audio-bindings.json' },
+  postProcessing: { path: 'data/post-pipeline.json' },
+  keymap: { path: 'data/keymap.json' },
+  cameraPath: { path: 'data/camera-path.json' },
+  lyrics: { path: 'lyrics/xsna.lrc' },
+  // Vegetation layout seed - ?seed=... in the URL overrides it; wind sways the grass
+  vegetation: { seed: 'xsna', wind: { strength: 0.3, direction: [1, 0.3] } },
+  // Offline export - resolution is a RESOLUTIONS key or { width, height }; format is 'webm' or 'png'
+  export: { resolution: '1080p', fps: 60, format: 'webm' },
+  // 'auto' streams large or long files instead of decoding them; true/false forces a backend
+  audio: { streaming: 'auto' },
+  // Lens for the depth of field; autofocus is null (manual) or 'head', 'lyric', 'cursor'
+  dof: { focusDistance: 20, focalLength: 50, fStop: 1.4, autofocus: 'head', pullTime: 0.5 },
+  // 'auto' adapts to the frame rate, or pin one of 'low', 'medium', 'high', 'ultra'
+  quality: { preset: 'auto', targetFps: 50 }
 };
 
-const textAppearTimes = [
-  { time: 0.593, text: "თვალებს" }, { time: 26.593, text: "თვალებს" },
-  { time: 27.593, text: "ადევს" }, { time: 28.593, text: "ნამი" },
-  { time: 29.777, text: "ზღვაა" }, { time: 30.777, text: "ძაან" },
-  { time: 31.777, text: "წყნარი" }, { time: 32.890, text: "ცაზე" },
-  { time: 33.890, text: "ფანტავს ელვებს" }, { time: 35, text: "დაუოკებელი" },
-  { time: 36.243, text: "ბრაზი" }, { time: 37.8, text: "ახალს" },
-  { time: 38.8, text: "არაფერს" }, { time: 39.8, text: "არ გეტყვი" }
-];
+// Lyric cues ({ time, text }) - synced lyrics embedded in the MP3 win over config.lyrics
+let textAppearTimes = [];
+let embeddedLyrics = null;
 
 // Resources to be loaded
 const resources = {
@@ -120,6 +167,7 @@ const resources = {
   glb: null,
   titleGlb: null,
   audio: null,
+  lyrics: null,
   vegetation: null
 };
 
@@ -146,8 +194,22 @@ GUI.setupUI(); // No parameters needed anymore
   // Initialize controllers
   AudioController.init({ 
   onTimeUpdate: (t, dt) => textManager?.update(t, dt, textAppearTimes),
-  onScrubComplete: t => textManager?.reset(t, textAppearTimes)
+  onScrub: t => {
+    // Paused scrubs still need frames; while animating the loop draws them
+    if (isSetupComplete && !isAnimating && !isExporting) renderFrame(t, 0, performance.now());
+    GUI.updateTimeDisplay(t, VegetationManager.getTreeCount(), true);
+  },
+  onScrubComplete: t => {
+    textManager?.reset(t, textAppearTimes);
+    if (isSetupComplete && !isAnimating && !isExporting) renderFrame(t, 0, performance.now());
+  },
+  onLoop: t => textManager?.reset(t, textAppearTimes),
+  onMetadata: applyTrackMetadata,
+  onLoad: () => { if (isSetupComplete) showAudioTrack(); },
+  streaming: config.audio.streaming
 });
+  AudioController.onBeat(() => { beatFired = true; });
+  AudioController.onOnset(() => { onsetFired = true; });
   
   // Setup event listeners
   setupEventListeners();
@@ -169,47 +231,140 @@ function setupEventListeners() {
   
   // Mouse/touch movement
   document.addEventListener('mousemove', e => {
+    if (isExporting) return;
     mouseX = e.clientX - window.innerWidth / 2;
     mouseY = e.clientY - window.innerHeight / 2;
   });
   
   document.addEventListener('touchmove', e => {
-    if (e.touches.length > 0) {
+    if (e.touches.length > 0 && !isExporting) {
       e.preventDefault();
       mouseX = e.touches[0].clientX - window.innerWidth / 2;
       mouseY = e.touches[0].clientY - window.innerHeight / 2;
     }
   }, { passive: false });
   
-  // Keyboard controls - SPACE for play/pause
-  document.addEventListener('keydown', e => {
-    if (e.code === 'Space' && !e.repeat) {
-      e.preventDefault();
-      if (isSetupComplete) {
-        if (isAnimating) {
-          pauseAnimation();
-        } else {
-          startAnimation();
-        }
-      }
+  // Keyboard shortcuts - keys can be remapped in config.keymap.path, ? lists them
+  const ready = () => isSetupComplete && !isExporting;
+  
+  Shortcuts.registerShortcut('playback.toggle', {
+    keys: 'Space', group: 'Playback', description: 'Play / pause', preventDefault: true, enabled: ready,
+    handler: () => (isAnimating ? pauseAnimation() : startAnimation())
+  });
+  Shortcuts.registerShortcut('playback.slower', {
+    keys: '-', group: 'Playback', description: 'Slow down playback', enabled: ready,
+    handler: () => stepPlaybackRate(-1)
+  });
+  Shortcuts.registerShortcut('playback.faster', {
+    keys: '=', group: 'Playback', description: 'Speed up playback', enabled: ready,
+    handler: () => stepPlaybackRate(1)
+  });
+  
+  // [ and ] set the loop start and end at the current time
+  Shortcuts.registerShortcut('loop.start', {
+    keys: '[', group: 'Loop', description: 'Set loop start here', enabled: ready,
+    handler: () => {
+      const time = AudioController.getCurrentTime();
+      const region = AudioController.getLoopRegion();
+      loopStartMark = time;
+      if (region && region.end > time) setLoopRegion(time, region.end);
     }
-
-    if (e.key === 'd' && depthBlurPass) {
-    depthBlurPass.toggleDebugDepth();
-    console.log('Depth visualization toggled');
-  }
+  });
+  Shortcuts.registerShortcut('loop.end', {
+    keys: ']', group: 'Loop', description: 'Set loop end here', enabled: ready,
+    handler: () => {
+      const time = AudioController.getCurrentTime();
+      const region = AudioController.getLoopRegion();
+      setLoopRegion(loopStartMark ?? region?.start ?? Math.max(0, time - 3), time);
+    }
+  });
+  Shortcuts.registerShortcut('loop.clear', {
+    keys: 'L', group: 'Loop', description: 'Clear the loop', enabled: ready,
+    handler: () => setLoopRegion(null)
+  });
   
-  // Add number keys to adjust blur amount
-  if (e.key >= '1' && e.key <= '9' && depthBlurPass) {
-    const blurAmount = parseInt(e.key);
-    depthBlurPass.setMaxBlurSize(blurAmount);
-    console.log('Max blur size set to:', blurAmount);
-  }
-
+  Shortcuts.registerShortcut('audio.mute', {
+    keys: 'M', group: 'Audio', description: 'Mute / unmute', enabled: ready,
+    handler: () => console.log('Audio', AudioController.toggleMute() ? 'muted' : 'unmuted')
+  });
+  Shortcuts.registerShortcut('audio.bindings', {
+    keys: 'B', group: 'Audio', description: 'Toggle audio-reactive bindings', enabled: () => ready() && !!audioBindings,
+    handler: () => console.log('Audio bindings', audioBindings.toggle() ? 'on' : 'off')
+  });
+  
+  Shortcuts.registerShortcut('export.webm', {
+    keys: 'E', group: 'Export', description: 'Export WebM',
+    handler: () => exportPiece({ format: 'webm' })
+  });
+  Shortcuts.registerShortcut('export.png', {
+    keys: 'Shift+E', group: 'Export', description: 'Export PNG sequence',
+    handler: () => exportPiece({ format: 'png' })
+  });
+  
+  Shortcuts.registerShortcut('depth.debug', {
+    keys: 'D', group: 'Depth of field', description: 'Toggle circle of confusion view', enabled: () => !!depthBlurPass,
+    handler: () => {
+      depthBlurPass.toggleDebugDepth();
+      console.log('Depth visualization toggled');
+    }
+  });
+  Shortcuts.registerShortcut('depth.autofocus', {
+    keys: 'F', group: 'Depth of field', description: 'Cycle autofocus: manual, head, lyric, cursor', enabled: () => !!focusController,
+    handler: () => {
+      const modes = [null, ...focusController.getTargetNames()];
+      const next = modes[(modes.indexOf(focusController.targetName) + 1) % modes.length];
+      focusController.setTarget(next);
+      console.log('Autofocus:', next ?? 'manual');
+    }
+  });
+  Shortcuts.registerShortcut('depth.blurSize', {
+    keys: ['1', '2', '3', '4', '5', '6', '7', '8', '9'], group: 'Depth of field', description: 'Set max blur size',
+    enabled: () => !!depthBlurPass,
+    handler: event => {
+      const blurAmount = parseInt(event.key);
+      depthBlurPass.setMaxBlurSize(blurAmount);
+      console.log('Max blur size set to:', blurAmount);
+    }
+  });
+  
+  Shortcuts.registerShortcut('debug.tweaks', {
+    keys: 'T', group: 'Debug', description: 'Show or hide the tweak panel', enabled: () => !!tweakPanel,
+    handler: () => tweakPanel.toggle()
+  });
+  
+  // Q steps through auto and the fixed presets
+  const qualityModes = ['auto', ...Object.keys(QualityManager.QUALITY_PRESETS)];
+  Shortcuts.registerShortcut('quality.cycle', {
+    keys: 'Q', group: 'Debug', description: 'Cycle quality: auto, ultra, high, medium, low', enabled: ready,
+    handler: () => {
+      const next = qualityModes[(qualityModes.indexOf(QualityManager.getPreset()) + 1) % qualityModes.length];
+      QualityManager.setPreset(next);
+      console.log('Quality:', next);
+    }
   });
   
   // Setup scrubber
   GUI.setupScrubber(AudioController.handleScrubberInput, AudioController.handleScrubberChange);
+  GUI.setupLoopSelection((start, end) => setLoopRegion(start, end));
+}
+
+// Move to the next slower (-1) or faster (+1) playback rate
+function stepPlaybackRate(direction) {
+  const rate = AudioController.getPlaybackRate();
+  const index = PLAYBACK_RATES.findIndex(value => value >= rate);
+  const next = PLAYBACK_RATES[THREE.MathUtils.clamp(index + direction, 0, PLAYBACK_RATES.length - 1)];
+  console.log('Playback rate:', AudioController.setPlaybackRate(next));
+}
+
+// Loop playback over [start, end], or clear the loop with null / a region too short to play
+function setLoopRegion(start, end) {
+  const region = start === null ? null : AudioController.setLoopRegion(start, end);
+  if (!region) {
+    AudioController.clearLoopRegion();
+    loopStartMark = null;
+  }
+  GUI.setLoopRegion(region);
+  console.log(region ? `Loop ${GUI.formatTime(region.start)} - ${GUI.formatTime(region.end)}` : 'Loop cleared');
 }
 
 async function loadAllResources() {
@@ -256,6 +411,16 @@ async function loadAllResources() {
   // console.log('Loading models, textures, and vegetation...');
 
   const remainingTasks = [
+    // Load cue sheet, animation graphs, camera path and lyrics
+    loadTimeline(config.timeline.path, manager),
+    loadAnimationGraphs(config.animationGraphs.path, manager).then(graphs => { animationGraphs = graphs; }),
+    loadAudioBindings(config.audioBindings.path, manager).then(bindings => { audioBindingDefinitions = bindings; }),
+    loadPostPipeline(config.postProcessing.path, manager).then(passes => { postPipelineDefinitions = passes; }),
+    // A broken keymap only costs the remapping, so keep the default keys
+    Shortcuts.loadKeymap(config.keymap.path, manager).catch(error => console.warn(error.message)),
+    loadCameraPath(config.cameraPath.path, manager).then(rig => { cameraRig = rig; }),
+    loadLyricCues(config.lyrics.path, manager),
+    
     // Load displacement texture
     loadTexture('images/displacement-map.png', 'displacement', manager),
     
@@ -272,6 +437,7 @@ async function loadAllResources() {
   
   try {
     await Promise.all(remainingTasks);
+    setupAnimationGraphs();
     // console.log('✓ All models and textures loaded successfully');
   } catch (error) {
     console.error('Failed to load remaining resources:', error);
@@ -323,6 +489,75 @@ async function loadHDRTexture(path, key, manager) {
   });
 }
 
+async function loadTimeline(path, manager) {
+  const cues = await loadCueSheet(path, manager);
+  timeline.setCues(cues);
+  setupTimelineHandlers();
+}
+
+async function loadLyricCues(path, manager) {
+  const cues = await loadLyrics(path, manager, progress => GUI.updateLoadingProgress('lyrics', progress));
+  textAppearTimes = embeddedLyrics || cues;
+  resources.lyrics = textAppearTimes;
+}
+
+// ID3 tags: title/cover go to the loading screen, synced lyrics feed TextManager
+function applyTrackMetadata(metadata) {
+  GUI.showTrackInfo(metadata);
+  
+  let cues = metadata.syncedLyrics;
+  if (!cues.length && metadata.lyrics) {
+    // Unsynchronised lyrics are only usable when they hold LRC timestamps
+    try {
+      cues = parseLRC(metadata.lyrics);
+    } catch (error) {
+      cues = [];
+    }
+  }
+  if (!cues.length) return;
+  
+  embeddedLyrics = cues;
+  textAppearTimes = cues;
+  resources.lyrics = cues;
+  textManager?.reset(AudioController.getCurrentTime(), textAppearTimes);
+  if (isSetupComplete) updateScrubberMarkers();
+}
+
+// Scrubber range, waveform and markers all need the track's duration; audio that
+// is still decoding when setup completes draws them again from onLoad
+function showAudioTrack() {
+  GUI.enableControls(AudioController.getAudioDuration(), VegetationManager.getTreeCount());
+  GUI.setWaveform(AudioController.getWaveform());
+  updateScrubberMarkers();
+}
+
+// Lyric cues, animation transitions and camera moves as scrubber markers
+function updateScrubberMarkers() {
+  const markers = textAppearTimes.map(({ time, text }) => ({ time, label: text, kind: 'lyric' }));
+  
+  for (const [name, graph] of [['character', characterGraph], ['title', titleGraph]]) {
+    for (const { time, transition, cue } of graph?.getTimedEvents() || []) {
+      markers.push({
+        time,
+        duration: transition.duration ?? cue?.duration ?? 0,
+        label: `${name}: ${transition.from} → ${transition.to}`,
+        kind: 'transition'
+      });
+    }
+  }
+  
+  for (const cue of timeline.getCues('camera')) {
+    markers.push({ time: cue.start, duration: cue.duration, label: `camera ${cue.action} (${cue.id})`, kind: 'camera' });
+  }
+  const keyframes = cameraRig?.keyframes || [];
+  for (let i = 1; i < keyframes.length; i++) {
+    const start = keyframes[i - 1].time;
+    markers.push({ time: start, duration: keyframes[i].time - start, label: 'camera path', kind: 'camera' });
+  }
+  
+  GUI.setMarkers(markers);
+}
+
 async function loadTexture(path, key, manager) {
   return new Promise((resolve, reject) => {
     new THREE.TextureLoader(manager).load(
@@ -357,7 +592,7 @@ async function loadGLB(path, manager) {
   return new Promise((resolve, reject) => {
     new GLTFLoader(manager).load(
       path,
-      gltf => {
+      async gltf => {
         gltfModel = gltf.scene;
         
         // Apply txthdr to latex materials
@@ -381,41 +616,18 @@ async function loadGLB(path, manager) {
         
         setupHeadTracking();
         
-        // Handle animations
-        if (gltf.animations?.length) {
-          gltfMixer = new THREE.AnimationMixer(gltfModel);
-          gltf.animations.forEach(clip => {
-            const action = gltfMixer.clipAction(clip);
-            
-            // Handle Walk_01 animation
-            if (clip.name === 'Walk_01') {
-              walkAnimation = action;
-              action.setLoop(THREE.LoopRepeat);
-              action.timeScale = 0.7;
-              action.play(); // Start walking animation immediately
-              action.setEffectiveWeight(1.0);
-              // console.log('Started Walk_01 animation');
-            }
-            // Handle faceUp animation
-            else if (clip.name === 'faceUp') {
-              faceUpAnimation = action;
-              action.setLoop(THREE.LoopOnce);
-              action.timeScale = 0.7;
-              action.clampWhenFinished = true; // Keep the final pose
-              action.setEffectiveWeight(0.0); // Start with 0 weight
-              // Don't play it yet - will be triggered at startTime
-              // console.log('Prepared faceUp animation');
-            }
-            // Handle any other animations
-            else {
-              action.setLoop(THREE.LoopRepeat);
-              action.timeScale = 0.7;
-              gltfAnimationActions.push(action);
-              if (config.glb.autoplay) action.play();
-            }
-          });
+        if (config.glb.camera.name) {
+          try {
+            gltfCamera = await createGLTFCameraBinding(gltf, config.glb.camera);
+          } catch (error) {
+            reject(error);
+            return;
+          }
         }
         
+        // The camera clip is sampled by its own binding; the rest go to the character graph
+        characterClips = (gltf.animations || []).filter(clip => clip !== gltfCamera?.sourceClip);
+        
         resources.glb = gltfModel;
         // console.log(gltf.animations)
         resolve();
@@ -457,19 +669,8 @@ async function loadTitleGLB(path, manager) {
         scene.add(titleModel);
 
         
-        // Handle animations if the title has any
-        if (gltf.animations?.length) {
-          titleMixer = new THREE.AnimationMixer(titleModel);
-          gltf.animations.forEach(clip => {
-            const action = titleMixer.clipAction(clip);
-            action.setLoop(THREE.LoopRepeat);
-            action.play();
-           
-          });
-          
-          // Store mixer reference if you need to update it in the animation loop
-          titleModel.userData.mixer = titleMixer;
-        }
+        // Title clips are played by the title animation graph
+        titleClips = gltf.animations || [];
         
         resources.titleGlb = titleModel;
         console.log('Title GLB loaded successfully');
@@ -498,7 +699,9 @@ async function initVegetation(manager) {
     let vegetationLoaded = false;
     let checkInterval;
     
-    // Initialize vegetation manager
+    // Initialize vegetation manager with a reproducible layout seed
+    VegetationManager.setSeed(getSeedFromURL(config.vegetation.seed));
+    VegetationManager.setWind(config.vegetation.wind);
     VegetationManager.init(scene, manager);
     
     // Check if vegetation resources are loaded
@@ -609,6 +812,10 @@ function completeSetup() {
   // Setup lights
   setupLights();
   
+  setupFocus();
+  
+  setupAudioBindings();
+  
   // Create sky plane
   skyPlane = createSkyPlane({
     width: 300, height: 300,
@@ -618,6 +825,16 @@ function completeSetup() {
   });
   // skyPlane.layers.set(LAYERS.DOFIGNORE);
   scene.add(skyPlane);
+  
+  QualityManager.init({
+    renderer,
+    composer,
+    taaPass: taaRenderPass,
+    depthBlurPass,
+    bloomPass,
+    skyMaterial: skyPlane.material,
+    vegetation: VegetationManager
+  }, config.quality);
 
   const material = new THREE.MeshBasicMaterial({ color: 0xff0000, side: THREE.DoubleSide });
   const plane = new THREE.PlaneGeometry(1000, 1000);
@@ -655,6 +872,8 @@ function completeSetup() {
   });
   
   textManager.setMoveSpeed(15);
+  
+  setupTweakPanel();
 
     if (resources.txthdr) {
  
@@ -670,7 +889,7 @@ function completeSetup() {
   setTimeout(() => {
     // Double-check vegetation creation after a short delay
     VegetationManager.createInitialVegetationWhenReady(scene);
-    GUI.enableControls(AudioController.getAudioDuration(), VegetationManager.getTreeCount());
+    showAudioTrack();
   }, 100);
   
   isSetupComplete = true;
@@ -698,23 +917,59 @@ function setupHeadTracking() {
   }
 }
 
-function updateTitlePosition(audioTime) {
-  if (!titleModel) return;
-  
-  const { startTime, endTime, startZ, endZ } = config.titleGlb.animation;
+// Register how each cue target/action is applied to the scene
+function setupTimelineHandlers() {
+  timeline
+    .on('title', 'moveZ', ({ progress, cue }) => {
+      if (!titleModel) return;
+      titleModel.position.z = THREE.MathUtils.lerp(cue.params.from, cue.params.to, progress);
+    })
+    .on('audio', 'fade', ({ progress, cue }) => {
+      // Fade level follows the cue, so seeking lands on the same level
+      AudioController.setFadeLevel(THREE.MathUtils.lerp(cue.params.from ?? 1, cue.params.to ?? 1, progress));
+    })
+    .on('camera', 'gltf', ({ active, localTime, cue }) => {
+      // Outside the cue the keyframed rig drives the camera again
+      gltfCameraTime = active ? localTime + (cue.params.offset ?? 0) : null;
+    })
+    .on('dof', 'focus', ({ active, progress, cue }) => {
+      // params: target (null for manual), distance or from/to for a manual pull, fStop, pullTime.
+      // They override the manual settings only while the cue runs
+      const { target, distance, from, to, fStop, pullTime } = cue.params || {};
+      if (!active) {
+        focusController?.setOverride(null);
+        depthBlurPass?.setFStopOverride(null);
+        return;
+      }
+      focusController?.setOverride({
+        target,
+        distance: from !== undefined && to !== undefined ? THREE.MathUtils.lerp(from, to, progress) : distance,
+        pullTime
+      });
+      depthBlurPass?.setFStopOverride(fStop);
+    });
+}
+
+// Build the character and title graphs once models and graph definitions are loaded.
+// Graph transitions can be triggered by timeline cues, so the cue sheet is shared
+function setupAnimationGraphs() {
+  if (gltfModel && characterClips.length && animationGraphs.character) {
+    characterGraph = new AnimationGraph(gltfModel, characterClips, animationGraphs.character, { timeline });
+    gltfMixer = characterGraph.mixer;
+    
+    // Clips the graph doesn't use keep looping under the GLB animation controls
+    characterClips
+      .filter(clip => !characterGraph.controller.get(clip.name))
+      .forEach(clip => {
+        const { action } = characterGraph.controller.add(clip, { timeScale: 0.7, weight: config.glb.autoplay ? 1 : 0 });
+        gltfAnimationActions.push(action);
+      });
+  }
   
-  if (audioTime < startTime) {
-    // Before animation starts, keep at starting position
-    titleModel.position.z = startZ;
-  } else if (audioTime >= startTime && audioTime <= endTime) {
-    // During animation, interpolate position
-    const progress = (audioTime - startTime) / (endTime - startTime);
-    // Use easing for smoother motion
-    const easedProgress = progress * progress * (3 - 2 * progress); // smoothstep
-    titleModel.position.z = THREE.MathUtils.lerp(startZ, endZ, easedProgress);
-  } else {
-    // After animation ends, keep at end position
-    titleModel.position.z = endZ;
+  if (titleModel && titleClips.length && animationGraphs.title) {
+    titleGraph = new AnimationGraph(titleModel, titleClips, animationGraphs.title, { timeline });
+    titleMixer = titleGraph.mixer;
+    titleModel.userData.mixer = titleMixer;
   }
 }
 
@@ -812,73 +1067,247 @@ function updateHeadLookAt(camera, deltaTime) {
   headBone.quaternion.slerp(blendedQuaternion, smoothingFactor);
 }
 
-function setupPostProcessing() {
+// The pass chain comes from config.postProcessing.path; these are the pass types it can use.
+// params fall back to config, so a descriptor only lists what it changes
+function createPassTypes() {
+  return {
+    render: () => new RenderPass(scene, camera),
+    
+    // Objects only on the DOFIGNORE layer write no depth
+    sceneDepth: () => {
+      const pass = new SceneDepthPass(scene, camera);
+      pass.excludeLayer(LAYERS.DOFIGNORE);
+      return pass;
+    },
+    
+    taa: ({ sampleLevel = 1, unbiased = false }) => {
+      const pass = new TAARenderPass(scene, camera);
+      pass.unbiased = unbiased;
+      pass.sampleLevel = sampleLevel; // 0 = 1 sample, 1 = 2 samples, 2 = 4 samples
+      return pass;
+    },
+    
+    displacement: ({ scale = config.displacement.scale, moveSpeed = 0.5, removalZ = 5 }) => {
+      const pass = new DisplacementScenePass(renderer, scale);
+      pass.initTextSupport(font);
+      pass.setTextConfig(config.text);
+      pass.setTextMoveSpeed(moveSpeed);
+      pass.setTextRemovalZ(removalZ);
+      return pass;
+    },
+    
+    chromaticAberration: ({ strength = config.chromaticAberration.strength, threshold }) => {
+      const pass = new ChromaticAberrationPass(strength, threshold);
+      pass.update(renderer, window.innerWidth, window.innerHeight);
+      return pass;
+    },
+    
+    depthBlur: ({ maxBlurSize = 8, focusDistance = config.dof.focusDistance, focalLength = config.dof.focalLength, fStop = config.dof.fStop }) => {
+      // The depth texture comes from the pipeline's sceneDepth pass, connected in refreshPasses
+      return new DepthDrivenBlurPass(camera, null, maxBlurSize, { focusDistance, focalLength, fStop });
+    },
+    
+    bloom: ({ strength = config.bloom.strength, radius = config.bloom.radius, threshold = config.bloom.threshold }) => {
+      const pass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), strength, radius, threshold);
+      [...pass.renderTargetsHorizontal, ...pass.renderTargetsVertical].forEach(target => {
+        target.texture.minFilter = THREE.LinearFilter;
+        target.texture.magFilter = THREE.LinearFilter;
+      });
+      return pass;
+    },
+    
+    gamma: () => new ShaderPass(GammaCorrectionShader)
+  };
+}
 
+function setupPostProcessing() {
   composer = new EffectComposer(renderer);
-
-  
-  // composer.addPass(new RenderPass(scene, camera));
-  
-  
-
-
- const taaRenderPass = new TAARenderPass(scene, camera);
-  taaRenderPass.unbiased = false;
-  taaRenderPass.sampleLevel = 1; // 0 = 1 sample, 1 = 2 samples, 2 = 4 samples
-  composer.addPass(taaRenderPass);
-  
-  // Bloom pass
- bloomPass = new UnrealBloomPass(
-  new THREE.Vector2(window.innerWidth, window.innerHeight),
-  config.bloom.strength, 
-  config.bloom.radius, 
-  config.bloom.threshold
-);
-bloomPass.renderTargetsHorizontal.forEach(target => {
-  target.texture.minFilter = THREE.LinearFilter;
-  target.texture.magFilter = THREE.LinearFilter;
-});
-bloomPass.renderTargetsVertical.forEach(target => {
-  target.texture.minFilter = THREE.LinearFilter;
-  target.texture.magFilter = THREE.LinearFilter;
-});
-  
   
-  // Displacement pass
-  displacementScenePass = new DisplacementScenePass(renderer, config.displacement.scale);
-  displacementScenePass.initTextSupport(font);
-  displacementScenePass.setTextConfig(config.text);
-  displacementScenePass.setTextMoveSpeed(0.5);
-  displacementScenePass.setTextRemovalZ(5);
-  
-  // Chromatic aberration pass
-  chromaticAberrationPass = new ChromaticAberrationPass(config.chromaticAberration.strength);
-  chromaticAberrationPass.update(renderer, window.innerWidth, window.innerHeight);
- 
-  // composer.addPass(displacementScenePass); // Uncomment if needed
-
-
-
-  depthBlurPass = new DepthDrivenBlurPass(scene, camera, 1.0); // 5.0 = max blur size
+  // Rebuilding re-adds every pass at full size, so bloom needs its quality scale again
+  postPipeline = new PostPipeline(composer, createPassTypes(), {
+    onChange: pipeline => {
+      refreshPasses();
+      
+      const size = renderer.getSize(new THREE.Vector2());
+      QualityManager.resize(size.x, size.y);
+      
+      const types = pipeline.getDescriptors().filter(pass => pass.enabled).map(pass => pass.type);
+      const depthIndex = types.indexOf('sceneDepth');
+      if (types.includes('depthBlur') && (depthIndex === -1 || depthIndex > types.indexOf('depthBlur'))) {
+        console.warn('Post-processing: depthBlur needs an enabled sceneDepth pass before it, and is bypassed until it has one');
+      }
+    }
+  });
+  postPipeline.setDescriptors(postPipelineDefinitions);
+}
 
-  depthBlurPass.excludeLayer(LAYERS.DOFIGNORE);
+// Any of these may be missing from the pipeline, and removing a pass or changing its
+// params disposes the old instance: re-read them after every change and re-point whatever holds them
+function refreshPasses() {
+  taaRenderPass = postPipeline.get('taa');
+  displacementScenePass = postPipeline.get('displacement');
+  chromaticAberrationPass = postPipeline.get('chromaticAberration');
+  depthBlurPass = postPipeline.get('depthBlur');
+  bloomPass = postPipeline.get('bloom');
+  
+  // Only depth rendered earlier in the frame is usable; without it depthBlur copies through
+  const enabled = postPipeline.getDescriptors().filter(pass => pass.enabled);
+  const blurIndex = enabled.findIndex(pass => pass.type === 'depthBlur');
+  const sceneDepth = enabled.slice(0, Math.max(blurIndex, 0)).filter(pass => pass.type === 'sceneDepth').pop();
+  depthBlurPass?.setDepthTexture(sceneDepth ? postPipeline.get(sceneDepth.id).depthTexture : null);
+  
+  QualityManager.setTargets({ taaPass: taaRenderPass, depthBlurPass, bloomPass });
+  audioBindings?.setRoots(createBindingRoots());
+  tweakPanel?.refresh();
+}
 
- const gamma = new ShaderPass(GammaCorrectionShader);
 
+// Bindings address targets by path from these roots, e.g. "bloom.strength"
+function setupAudioBindings() {
+  audioBindings = new AudioBindings(audioBindingDefinitions, createBindingRoots());
+}
 
+function createBindingRoots() {
+  return {
+    bloom: bloomPass,
+    chromaticAberration: chromaticAberrationPass,
+    displacement: config.displacement,
+    clouds: config.clouds,
+    spotlight,
+    vegetation: VegetationManager
+  };
+}
 
-  composer.addPass(chromaticAberrationPass)
-  composer.addPass(depthBlurPass);
-  composer.addPass(bloomPass); 
-  composer.addPass(gamma);
-  
+// Autofocus targets: the character's head, the nearest lyric in front of the camera,
+// or whatever is under the cursor (the spotlight ray)
+function setupFocus() {
+  const point = new THREE.Vector3();
+  
+  focusController = new FocusController(camera, {
+    distance: config.dof.focusDistance,
+    pullTime: config.dof.pullTime
+  })
+    .addTarget('head', () => headBone?.getWorldPosition(point) ?? null)
+    .addTarget('lyric', (_, controller) => {
+      let nearest = null, nearestDistance = Infinity;
+      for (const mesh of textManager?.textMeshes || []) {
+        const distance = controller.viewDistance(mesh.getWorldPosition(point));
+        if (distance > camera.near && distance < nearestDistance) {
+          nearest = mesh;
+          nearestDistance = distance;
+        }
+      }
+      return nearest ? nearest.getWorldPosition(point) : null;
+    })
+    .addTarget('cursor', () => {
+      const focusable = [gltfModel, titleModel, ...(textManager?.textMeshes || [])].filter(Boolean);
+      const hit = raycaster.intersectObjects(focusable, true)[0];
+      return hit ? point.copy(hit.point) : null;
+    })
+    .setTarget(config.dof.autofocus);
+}
 
-  
-  
+// Panel controls read and write the live objects; for values audio bindings also drive they read and write the rest value.
+// Pass controls go through the current pass, and read undefined while the pipeline has none
+function setupTweakPanel() {
+  const bound = (path, set) => value => {
+    set(value);
+    audioBindings?.setBase(path, value);
+  };
+  // Bound targets move with the music; show, save and export the value they rest at
+  const rest = (path, get) => () => audioBindings?.getBase(path) ?? get();
+  const resetText = () => textManager.reset(AudioController.getCurrentTime(), textAppearTimes);
+  const textControl = (key, min, max, step) => ({
+    key, min, max, step,
+    get: () => textManager.textConfig[key],
+    set: value => textManager.setTextConfig({ [key]: value })
+  });
 
+  tweakPanel = new TweakPanel([
+    {
+      id: 'bloom', label: 'Bloom',
+      controls: [
+        { key: 'strength', min: 0, max: 3, step: 0.01, get: rest('bloom.strength', () => bloomPass?.strength), set: bound('bloom.strength', value => { if (bloomPass) bloomPass.strength = config.bloom.strength = value; }) },
+        { key: 'radius', min: 0, max: 2, step: 0.01, get: () => bloomPass?.radius, set: value => { if (bloomPass) bloomPass.radius = config.bloom.radius = value; } },
+        { key: 'threshold', min: 0, max: 1, step: 0.01, get: () => bloomPass?.threshold, set: value => { if (bloomPass) bloomPass.threshold = config.bloom.threshold = value; } }
+      ]
+    },
+    {
+      id: 'chromaticAberration', label: 'Chromatic aberration',
+      controls: [
+        {
+          key: 'strength', min: 0, max: 0.1, step: 0.001,
+          get: rest('chromaticAberration.uniforms.aberrationStrength.value', () => chromaticAberrationPass?.uniforms.aberrationStrength.value),
+          set: bound('chromaticAberration.uniforms.aberrationStrength.value', value => {
+            if (chromaticAberrationPass) chromaticAberrationPass.uniforms.aberrationStrength.value = config.chromaticAberration.strength = value;
+          })
+        },
+        {
+          key: 'threshold', min: 0, max: 1, step: 0.001,
+          get: () => chromaticAberrationPass?.uniforms.brightnessThreshold.value,
+          set: value => { if (chromaticAberrationPass) chromaticAberrationPass.uniforms.brightnessThreshold.value = value; }
+        }
+      ]
+    },
+    {
+      id: 'dof', label: 'Depth of field',
+      controls: [
+        { key: 'focusDistance', label: 'focus', min: 0.5, max: 200, step: 0.5, get: () => focusController.manualDistance, set: value => focusController.setDistance(value) },
+        { key: 'focalLength', label: 'focal length', min: 10, max: 200, step: 1, get: () => depthBlurPass?.focalLength, set: value => depthBlurPass?.setLens({ focalLength: value }) },
+        { key: 'fStop', label: 'f-stop', min: 0.7, max: 22, step: 0.1, get: () => depthBlurPass?.fStop, set: value => depthBlurPass?.setLens({ fStop: value }) },
+        { key: 'maxBlurSize', label: 'max CoC', min: 0, max: 20, step: 0.1, get: () => depthBlurPass?.maxBlurSize, set: value => depthBlurPass?.setMaxBlurSize(value) },
+        { key: 'directions', min: 1, max: 32, step: 1, get: () => depthBlurPass?.directions, set: value => depthBlurPass?.setBlurQuality(value, depthBlurPass.quality) },
+        { key: 'quality', min: 1, max: 10, step: 1, get: () => depthBlurPass?.quality, set: value => depthBlurPass?.setBlurQuality(depthBlurPass.directions, value) },
+        {
+          key: 'debugDepth', label: 'show CoC', type: 'boolean',
+          get: () => depthBlurPass?.material.uniforms.debugDepth.value,
+          set: value => { if (depthBlurPass) depthBlurPass.material.uniforms.debugDepth.value = value; }
+        }
+      ]
+    },
+    {
+      id: 'fog', label: 'Fog',
+      controls: [
+        { key: 'color', type: 'color', get: () => `#${scene.fog.color.getHexString()}`, set: value => scene.fog.color.set(value) },
+        { key: 'near', min: 0, max: 200, step: 1, get: () => scene.fog.near, set: value => { scene.fog.near = value; } },
+        { key: 'far', min: 0, max: 500, step: 1, get: () => scene.fog.far, set: value => { scene.fog.far = value; } }
+      ]
+    },
+    {
+      id: 'spotlight', label: 'Spotlight',
+      controls: [
+        { key: 'color', type: 'color', get: () => `#${spotlight.color.getHexString()}`, set: value => spotlight.color.set(value) },
+        { key: 'intensity', min: 0, max: 50, step: 0.1, get: rest('spotlight.intensity', () => spotlight.intensity), set: bound('spotlight.intensity', value => { spotlight.intensity = value; }) },
+        { key: 'angle', min: 0, max: Math.PI / 2, step: 0.01, get: () => spotlight.angle, set: value => { spotlight.angle = value; } },
+        { key: 'penumbra', min: 0, max: 1, step: 0.01, get: () => spotlight.penumbra, set: value => { spotlight.penumbra = value; } },
+        { key: 'distance', min: 0, max: 500, step: 1, get: () => spotlight.distance, set: value => { spotlight.distance = value; } }
+      ]
+    },
+    {
+      // A/B the chain: unchecked passes drop out of the composer but keep their settings
+      id: 'passes', label: 'Passes',
+      controls: postPipeline.getDescriptors().map(({ id }) => ({
+        key: id, type: 'boolean',
+        get: () => postPipeline.isEnabled(id),
+        set: value => postPipeline.setEnabled(id, value)
+      }))
+    },
+    {
+      // Text meshes are built with the config, so rebuild the visible ones on change
+      id: 'text', label: 'Text', onChange: resetText,
+      controls: [
+        textControl('size', 0.1, 4, 0.05),
+        textControl('height', 0, 1, 0.01),
+        textControl('depth', 0, 2, 0.01),
+        textControl('startZ', -300, 0, 1),
+        textControl('endZ', -50, 50, 1),
+        textControl('yPosition', -10, 20, 0.1),
+        { key: 'moveSpeed', label: 'speed', min: 1, max: 60, step: 0.5, get: () => textManager.moveSpeed, set: value => textManager.setMoveSpeed(value) }
+      ]
+    }
+  ]);
 }
 
-
 function setupLights() {
   scene.add(new THREE.DirectionalLight(0x111111, 5));
   
@@ -894,12 +1323,8 @@ function setupLights() {
 }
 
 function onWindowResize() {
-  if (camera) {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-  }
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  composer?.setSize(window.innerWidth, window.innerHeight);
+  if (isExporting) return;
+  setRenderSize(window.innerWidth, window.innerHeight);
   // displacementScenePass?.setSize(window.innerWidth, window.innerHeight);
 
 if (rive) {
@@ -914,186 +1339,95 @@ if (rive) {
 
 }
 
+// Resize the drawing buffer and every pass; the canvas keeps its CSS size during exports
+function setRenderSize(width, height, updateStyle = true) {
+  if (camera) {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  }
+  renderer.setSize(width, height, updateStyle);
+  composer?.setSize(width, height);
+  QualityManager.resize(width, height);
+  cursorPlane.updateViewport(width, height);
+}
+
 function animate(time) {
   if (!isAnimating) return;
   animationId = requestAnimationFrame(animate);
   
-  const deltaTime = lastTime !== null ? Math.min((time - lastTime) / 1000, 0.1) : 0;
+  const frameTime = lastTime !== null ? (time - lastTime) / 1000 : 0;
+  const deltaTime = Math.min(frameTime, 0.1);
   lastTime = time;
+  QualityManager.update(frameTime);
   
-  gltfMixer?.update(deltaTime);
-  titleMixer?.update(deltaTime);
-
+  // Everything time-driven runs at the playback rate
   const audioTime = AudioController.getCurrentTime();
-  
-  // Update title position based on audio time
-  updateTitlePosition(audioTime);
+  renderFrame(audioTime, deltaTime * AudioController.getPlaybackRate(), time);
+  GUI.updateTimeDisplay(audioTime, VegetationManager.getTreeCount(), AudioController.isScrubbing());
+}
+
+// Integrate the cloud offset so speed changes don't jump it; seeks restart it from audio time
+function advanceClouds(audioTime) {
+  const step = lastCloudAudioTime === null ? Infinity : audioTime - lastCloudAudioTime;
+  cloudTime = step >= 0 && step <= 0.25 ? cloudTime + step * config.clouds.speed : audioTime * config.clouds.speed;
+  lastCloudAudioTime = audioTime;
+  return cloudTime;
+}
+
+// Advance every subsystem to audioTime and draw one frame. time (ms) drives
+// the free-running shader effects; playback and export share this path
+function renderFrame(audioTime, deltaTime, time) {
+  // Apply title, character and camera cues for this moment, then pose the
+  // animated models - both depend only on audio time
+  timeline.evaluate(audioTime);
+  characterGraph?.evaluate(audioTime);
+  titleGraph?.evaluate(audioTime);
 
     // Update text manager
   if (textManager) {
     textManager.update(
-      AudioController.getCurrentTime(), 
+      audioTime, 
       deltaTime, 
       textAppearTimes
     );
   }
   
-  updateCloudUniforms(skyPlane.material, audioTime * 0.03, window.innerWidth, window.innerHeight);
-  
-  const vegetationCounts = VegetationManager.updateVegetation(scene, 0.5 * (deltaTime * 60));
-  AudioController.update(deltaTime, vegetationCounts.trees);
-  
-  if (displacementScenePass) {
-    displacementScenePass.update(renderer, time, AudioController.getCurrentTime(), 
+  AudioController.update(deltaTime);
+  audioBindings?.evaluate({
+    rms: AudioController.getRMS(),
+    flux: AudioController.getFlux(),
+    bands: AudioController.getBands(),
+    beat: beatFired,
+    onset: onsetFired
+  }, audioTime);
+  beatFired = onsetFired = false;
+  
+  // The render size, not the window's: exports render at their own resolution and aspect
+  renderer.getSize(renderSize);
+  updateCloudUniforms(skyPlane.material, advanceClouds(audioTime), renderSize.x, renderSize.y);
+  VegetationManager.updateVegetation(scene, audioTime);
+  
+  if (displacementScenePass?.enabled) {
+    displacementScenePass.update(renderer, time, audioTime, 
       deltaTime, textAppearTimes, config.displacement.scale);
   }
 
-  // Handle animation transitions
-  if (faceUpAnimation && walkAnimation) {
-    // Check if we should be in faceUp state (after transition time)
-    const shouldBeInFaceUp = audioTime >= transitionTime;
-    const shouldBeTransitioning = audioTime >= transitionTime && audioTime < (transitionTime + transitionDuration);
-    
-    if (shouldBeTransitioning && !hasTransitioned && !isInTransition) {
-      // Start transition
-      hasTransitioned = true;
-      isInTransition = true;
-      transitionStartTime = audioTime;
-      
-      // Reset and play faceUp animation
-      faceUpAnimation.reset();
-      faceUpAnimation.play();
-      faceUpAnimation.setEffectiveWeight(0.0);
-      walkAnimation.setEffectiveWeight(1.0);
-      
-      // console.log('Starting transition to faceUp at', audioTime, 'seconds');
-    } else if (isInTransition && shouldBeTransitioning) {
-      // Continue transition - calculate progress
-      const transitionProgress = Math.min((audioTime - transitionStartTime) / transitionDuration, 1.0);
-      
-      // Smooth easing function
-      const easedProgress = 0.5 - 0.5 * Math.cos(transitionProgress * Math.PI);
-      
-      walkAnimation.setEffectiveWeight(1.0 - easedProgress);
-      faceUpAnimation.setEffectiveWeight(easedProgress);
-      
-      if (transitionProgress >= 1.0) {
-        isInTransition = false;
-        // console.log('Transition to faceUp completed');
-      }
-    } else if (isInTransition && shouldBeInFaceUp && !shouldBeTransitioning) {
-      // Continue quick transition after jump - use half duration
-      const quickTransitionDuration = transitionDuration / 2;
-      const transitionProgress = Math.min((audioTime - transitionStartTime) / quickTransitionDuration, 1.0);
-      
-      // Smooth easing function
-      const easedProgress = 0.5 - 0.5 * Math.cos(transitionProgress * Math.PI);
-      
-      walkAnimation.setEffectiveWeight(1.0 - easedProgress);
-      faceUpAnimation.setEffectiveWeight(easedProgress);
-      
-      if (transitionProgress >= 1.0) {
-        isInTransition = false;
-        console.log('Quick transition to faceUp completed');
-      }
-    } else if (shouldBeInFaceUp && !shouldBeTransitioning && !hasTransitioned) {
-      // We jumped past the transition time - check if we need to transition
-      const walkWeight = walkAnimation.getEffectiveWeight();
-      const faceUpWeight = faceUpAnimation.getEffectiveWeight();
-      
-      // Only start transition if walk animation is active (weight > 0)
-      if (walkWeight > 0 && faceUpWeight < 1) {
-        // Start a quick transition from walk to faceUp
-        hasTransitioned = true;
-        isInTransition = true;
-        transitionStartTime = audioTime;
-        
-        // Reset and play faceUp animation
-        faceUpAnimation.reset();
-        faceUpAnimation.play();
-        faceUpAnimation.setEffectiveWeight(0.0);
-        walkAnimation.setEffectiveWeight(1.0);
-        
-        console.log('Starting quick transition to faceUp after jump at', audioTime, 'seconds');
-      } else if (faceUpWeight === 1) {
-        // Already in faceUp, just update state
-        hasTransitioned = true;
-        isInTransition = false;
-        console.log('Already in faceUp animation, no transition needed');
-      }
-    } else if (shouldBeInFaceUp && !shouldBeTransitioning && hasTransitioned) {
-      // We're past the transition, ensure faceUp is fully active
-      if (isInTransition) {
-        isInTransition = false;
-      }
-      walkAnimation.setEffectiveWeight(0.0);
-      faceUpAnimation.setEffectiveWeight(1.0);
-    } else if (!shouldBeInFaceUp && (hasTransitioned || isInTransition)) {
-      // We've scrubbed back before the transition point
-      hasTransitioned = false;
-      isInTransition = false;
-      transitionStartTime = null;
-      
-      // Stop faceUp and ensure walk is playing
-      faceUpAnimation.stop();
-      faceUpAnimation.reset();
-      faceUpAnimation.setEffectiveWeight(0.0);
-      
-      // Reset walk animation to ensure proper speed
-      if (!walkAnimation.isRunning()) {
-        walkAnimation.reset();
-        walkAnimation.play();
-      }
-      walkAnimation.setEffectiveWeight(1.0);
-      walkAnimation.timeScale = 0.7; // Ensure correct time scale
-      
-      console.log('Jumped back to Walk_01 animation');
-    } else if (!shouldBeInFaceUp && !hasTransitioned) {
-      // We're before the transition and haven't transitioned yet
-      // Ensure walk animation is at correct speed
-      if (walkAnimation.isRunning() && walkAnimation.timeScale !== 0.7) {
-        walkAnimation.timeScale = 0.7;
-      }
-    }
-  }
-
   updateHeadLookAt(camera, deltaTime);
   
-  // Camera animation based on audio time (rest of the code remains the same)
-  const startPos = new THREE.Vector3(0, 2, 0);
-  const endPos = new THREE.Vector3(0, 4, -70);
-  
-  const startRot = new THREE.Euler(0, 0, 0);
-  const endRot = new THREE.Euler(0.5, 0, 0);
-  
-  // Calculate base camera position/rotation based on audio time
-  let baseCameraPos = new THREE.Vector3();
-  let baseCameraRot = new THREE.Euler();
-  
-  if (audioTime < animStartTime) {
-    baseCameraPos.copy(startPos);
-    baseCameraRot.copy(startRot);
-  } else if (audioTime >= animStartTime && audioTime <= animEndTime) {
-    const progress = (audioTime - animStartTime) / (animEndTime - animStartTime);
-    baseCameraPos.lerpVectors(startPos, endPos, progress);
-    baseCameraRot.x = THREE.MathUtils.lerp(startRot.x, endRot.x, progress);
-    baseCameraRot.y = THREE.MathUtils.lerp(startRot.y, endRot.y, progress);
-    baseCameraRot.z = THREE.MathUtils.lerp(startRot.z, endRot.z, progress);
+  // Camera base pose comes from the baked glTF camera or the keyframe path, mouse parallax on top
+  if (gltfCamera && gltfCameraTime !== null) {
+    gltfCamera.apply(camera, gltfCameraTime);
   } else {
-    baseCameraPos.copy(endPos);
-    baseCameraRot.copy(endRot);
+    // The rig's lens comes back with it, even when its keyframes have no fov
+    gltfCamera?.release(camera);
+    cameraRig?.apply(camera, audioTime);
   }
   
-  camera.position.copy(baseCameraPos);
-  
   const targetRotY = (mouseX / window.innerWidth) * 0.15;
-  const targetRotX = (mouseY / window.innerHeight) * 0.15;
+  const targetRotX = THREE.MathUtils.clamp((mouseY / window.innerHeight) * 0.15, -0.15, 0.15);
   
-  camera.rotation.x = baseCameraRot.x + targetRotX;
-  camera.rotation.y = baseCameraRot.y + targetRotY;
-  camera.rotation.z = baseCameraRot.z;
-  
-  camera.rotation.x = Math.max(baseCameraRot.x - 0.15, Math.min(baseCameraRot.x + 0.15, camera.rotation.x));
+  cameraParallaxEuler.set(targetRotX, targetRotY, 0);
+  camera.quaternion.multiply(cameraParallax.setFromEuler(cameraParallaxEuler));
   
   mouseNDC.set((mouseX / window.innerWidth) * 2, (mouseY / window.innerHeight) * -2);
   
@@ -1105,6 +1439,8 @@ function animate(time) {
   
   cursorPlane.update(camera, deltaTime);
   
+  if (focusController && depthBlurPass) depthBlurPass.setFocusDistance(focusController.update(audioTime));
+  
   if (scene && camera) composer.render();
 }
 
@@ -1128,13 +1464,69 @@ function pauseAnimation() {
   GUI.updatePlaybackState(false);
 }
 
+// Render the piece offline on a fixed-step clock and save it as WebM or a PNG sequence.
+// The pointer is held at the centre so exports don't depend on the mouse
+async function exportPiece({
+  resolution = config.export.resolution,
+  fps = config.export.fps,
+  format = config.export.format,
+  start = 0,
+  duration = AudioController.getAudioDuration() - start
+} = {}) {
+  if (!isSetupComplete || isExporting) return;
+  if (AudioController.isStreaming()) console.warn('Audio is streamed, not decoded - exporting without a soundtrack');
+  
+  const { width, height } = RESOLUTIONS[resolution] || resolution;
+  const pointer = { x: mouseX, y: mouseY };
+  
+  pauseAnimation();
+  isExporting = true;
+  mouseX = 0;
+  mouseY = 0;
+  cursorPlane.updateMouse(window.innerWidth / 2, window.innerHeight / 2);
+  cursorPlane.followPointer = false;
+  // Exports render offline, so they always get full quality at the exact resolution
+  const restoreQuality = QualityManager.suspend();
+  setRenderSize(width, height, false);
+  textManager?.reset(start, textAppearTimes);
+  GUI.updateExportProgress(0);
+  
+  try {
+    const result = await exportVideo(renderer.domElement, {
+      start,
+      duration,
+      fps,
+      format,
+      audioBuffer: AudioController.getAudioBuffer(),
+      renderFrame: (frameTime, deltaTime) => {
+        AudioController.setVirtualTime(frameTime);
+        renderFrame(frameTime, deltaTime, frameTime * 1000);
+      },
+      onProgress: (frame, frameCount) => GUI.updateExportProgress(frame / frameCount * 100)
+    });
+    
+    if (format === 'webm') downloadBlob(result, `xsna-${width}x${height}-${fps}fps.webm`);
+    console.log('Export finished:', format, `${width}x${height}`);
+  } catch (error) {
+    console.error('Export failed:', error);
+  } finally {
+    AudioController.setVirtualTime(null);
+    isExporting = false;
+    mouseX = pointer.x;
+    mouseY = pointer.y;
+    cursorPlane.followPointer = true;
+    restoreQuality();
+    setRenderSize(window.innerWidth, window.innerHeight);
+    textManager?.reset(AudioController.getCurrentTime(), textAppearTimes);
+    GUI.hideExportProgress();
+    renderFrame(AudioController.getCurrentTime(), 0, performance.now());
+  }
+}
+
 // GLB Animation Controls
 const animControl = (method, i = 0) => {
-  if (gltfAnimationActions?.[i]) {
-    if (method === 'play') gltfAnimationActions[i].play();
-    else if (method === 'pause') gltfAnimationActions[i].paused = true;
-    else if (method === 'stop') gltfAnimationActions[i].stop();
-  }
+  const name = gltfAnimationActions?.[i]?.getClip().name;
+  if (name) characterGraph.controller[method](name);
 };
 
 export const playGLBAnimation = (i = 0) => animControl('play', i);
@@ -1150,4 +1542,4 @@ setTimeout(() => {
 }, 1000);
 // Initialize
 
-export { scene, gltfModel, gltfMixer, gltfAnimationActions };
\ No newline at end of file
+export { scene, gltfModel, gltfMixer, gltfAnimationActions, exportPiece, postPipeline };
\ No newline at end of file
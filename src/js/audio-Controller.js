@@ -1,48 +1,179 @@
 // audio-controller.js - Using Web Audio API directly for reliability
 
 import * as THREE from "three";
+import { parseID3 } from './id3-parser.js';
+import { FeatureExtractor, analyzeBuffer, sampleAnalysis, eventsBetween, computeWaveformPeaks } from './audio-analysis.js';
+import { StreamingSource, fetchContentLength, probeDuration, fetchID3 } from './audio-stream.js';
 
 // Audio variables
 let audioContext;
 let audioBuffer;
 let sourceNode;
-let startTime = 0;
+let sourceGain; // Per-source envelope so starts and stops don't click
+let stream = null; // Set instead of audioBuffer when the track is streamed
+let startTime = 0; // Context time playback was last anchored at
+let startOffset = 0; // Track position at that moment
 let pauseTime = 0;
 let isPlaying = false;
 let isAudioLoaded = false;
+let metadata = null;
+let virtualTime = null; // Set during offline export instead of the audio clock
+
+// Rehearsal: an A-B loop region and a playback rate
+let loopRegion = null; // { start, end }
+let playbackRate = 1;
+let lastUpdateTime = null;
+export const MIN_PLAYBACK_RATE = 0.25;
+export const MAX_PLAYBACK_RATE = 2;
+const MIN_LOOP_LENGTH = 0.05;
+
+// Scrubbing: playback is held while dragging and short grains preview the audio
+let scrubbing = false;
+let resumeAfterScrub = false;
+let lastGrainTime = -Infinity;
+const GRAIN_LENGTH = 0.08;
+const GRAIN_INTERVAL = 0.06;
+
+// Backend selection: decode into a buffer unless the file is large or long
+let streamingMode = 'auto'; // 'auto', true or false
+const STREAMING_MIN_BYTES = 30 * 1024 * 1024;
+const STREAMING_MIN_DURATION = 15 * 60;
+const MAX_STREAM_DRIFT = 0.1; // Resync the clock to the element past this (seconds)
+
+// Output stage: source -> envelope -> analyser -> fade -> volume -> destination
+let fadeGain;
+let outputGain;
+let volume = 1;
+let muted = false;
+let fadeLevel = 1;
+const DECLICK_TIME = 0.015;
+const VOLUME_STORAGE_KEY = 'avara.audio';
+
+// Analysis: a live AnalyserNode until the offline pass over the buffer is ready
+let analyser;
+let analyserSamples;
+let liveExtractor;
+let analysis = null;
+let analysisOptions = {};
+let features = { rms: 0, bands: {}, flux: 0 };
+let lastEventTime = null;
+const beatListeners = new Set();
+const onsetListeners = new Set();
+const MAX_EVENT_GAP = 0.25; // Larger jumps are seeks, not playback, and fire no events
 
 // Three.js audio listener for 3D audio (if needed)
 let audioListener;
 
 // Callbacks from main app
 let callbacks = {
-  onTimeUpdate: null
+  onTimeUpdate: null,
+  onMetadata: null,
+  onLoad: null,
+  onAnalysis: null,
+  onLoop: null,
+  onScrub: null,
+  onScrubComplete: null
 };
 
 // Initialize the audio controller
 export function init(options = {}) {
   // Setup callbacks
   callbacks = {
-    onTimeUpdate: options.onTimeUpdate || function() {}
+    onTimeUpdate: options.onTimeUpdate || function() {},
+    onMetadata: options.onMetadata || function() {},
+    onLoad: options.onLoad || function() {},
+    onAnalysis: options.onAnalysis || function() {},
+    onLoop: options.onLoop || function() {},
+    onScrub: options.onScrub || function() {},
+    onScrubComplete: options.onScrubComplete || function() {}
   };
+  analysisOptions = options.analysis || {};
+  streamingMode = options.streaming ?? 'auto';
   
   // Create audio context
   audioContext = new (window.AudioContext || window.webkitAudioContext)();
   
+  // Volume and mute on the last gain, timeline fades on the one before it
+  restoreVolume();
+  outputGain = audioContext.createGain();
+  outputGain.gain.value = muted ? 0 : volume;
+  outputGain.connect(audioContext.destination);
+  fadeGain = audioContext.createGain();
+  fadeGain.connect(outputGain);
+  
+  // Every source plays through the analyser
+  liveExtractor = new FeatureExtractor(audioContext.sampleRate, analysisOptions);
+  analyser = audioContext.createAnalyser();
+  analyser.fftSize = liveExtractor.options.fftSize;
+  analyser.connect(fadeGain);
+  analyserSamples = new Float32Array(analyser.fftSize);
+  
   // Create Three.js audio listener (for compatibility)
   audioListener = new THREE.AudioListener();
 }
 
-// Load the audio file
-export function loadAudio(audioPath) {
+// Load the audio file, decoded or streamed depending on its size
+export async function loadAudio(audioPath) {
+  if (await shouldStream(audioPath)) {
+    return loadStream(audioPath);
+  }
+  return loadBuffer(audioPath);
+}
+
+async function shouldStream(audioPath) {
+  if (streamingMode !== 'auto') return !!streamingMode;
+  
+  const size = await fetchContentLength(audioPath);
+  if (size !== null) return size > STREAMING_MIN_BYTES;
+  const duration = await probeDuration(audioPath);
+  return duration > STREAMING_MIN_DURATION;
+}
+
+// Stream through a media element. There's no buffer, so analysis stays live
+// (no precomputed beats or onsets) and exports carry no soundtrack
+async function loadStream(audioPath) {
+  try {
+    fetchID3(audioPath)
+      .then(tags => {
+        metadata = tags;
+        if (metadata) callbacks.onMetadata(metadata);
+      })
+      .catch(error => console.warn('Could not read ID3 tags:', error));
+    
+    stream = new StreamingSource(audioContext, analyser);
+    stream.onEnded = () => {
+      if (!isPlaying) return;
+      console.log("Audio ended naturally");
+      isPlaying = false;
+      pauseTime = 0;
+      startTime = 0;
+    };
+    const duration = await stream.load(audioPath);
+    isAudioLoaded = true;
+    console.log('Audio streaming, duration:', duration);
+    callbacks.onLoad(duration);
+  } catch (error) {
+    console.error('Audio loading error:', error);
+    throw error;
+  }
+}
+
+function loadBuffer(audioPath) {
   return new Promise((resolve, reject) => {
     fetch(audioPath)
       .then(response => response.arrayBuffer())
-      .then(data => audioContext.decodeAudioData(data))
+      .then(data => {
+        // Read tags first - decodeAudioData detaches the buffer
+        metadata = readMetadata(data);
+        if (metadata) callbacks.onMetadata(metadata);
+        return audioContext.decodeAudioData(data);
+      })
       .then(buffer => {
         audioBuffer = buffer;
         isAudioLoaded = true;
         console.log('Audio loaded, duration:', buffer.duration);
+        runAnalysis(buffer);
+        callbacks.onLoad(buffer.duration);
         resolve();
       })
       .catch(error => {
@@ -52,6 +183,34 @@ export function loadAudio(audioPath) {
   });
 }
 
+// Precompute features for the whole track in the background
+function runAnalysis(buffer) {
+  analysis = null;
+  analyzeBuffer(buffer, analysisOptions)
+    .then(result => {
+      if (buffer !== audioBuffer) return;
+      analysis = result;
+      console.log(`Audio analysed: ${result.bpm.toFixed(1)} BPM, ${result.onsets.length} onsets`);
+      callbacks.onAnalysis(result);
+    })
+    .catch(error => console.warn('Audio analysis failed:', error));
+}
+
+// Parse ID3 tags without letting a broken tag stop playback
+function readMetadata(data) {
+  try {
+    return parseID3(data);
+  } catch (error) {
+    console.warn('Could not read ID3 tags:', error);
+    return null;
+  }
+}
+
+// Get ID3 metadata (title, artist, lyrics, syncedLyrics, picture) or null
+export function getMetadata() {
+  return metadata;
+}
+
 // Get the audio listener (for compatibility)
 export function getAudioListener() {
   return audioListener;
@@ -59,20 +218,60 @@ export function getAudioListener() {
 
 // Get current audio time
 export function getCurrentTime() {
+  if (virtualTime !== null) {
+    return virtualTime;
+  }
+  return getPlaybackPosition();
+}
+
+// Position of the playing source, following the rate and wrapping inside the loop region
+function getPlaybackPosition() {
   if (!isPlaying) {
     return pauseTime;
   }
-  return audioContext.currentTime - startTime;
+  const position = startOffset + (audioContext.currentTime - startTime) * playbackRate;
+  if (loopRegion && startOffset < loopRegion.end && position >= loopRegion.end) {
+    const length = loopRegion.end - loopRegion.start;
+    return loopRegion.start + THREE.MathUtils.euclideanModulo(position - loopRegion.start, length);
+  }
+  return position;
+}
+
+// Restart the position bookkeeping from now, before the rate or loop changes
+function reanchor() {
+  if (!isPlaying) return;
+  startOffset = getPlaybackPosition();
+  startTime = audioContext.currentTime;
 }
 
 // Get audio duration
 export function getAudioDuration() {
-  return audioBuffer?.duration || 0;
+  return audioBuffer?.duration || stream?.duration || 0;
+}
+
+// Waveform overview of the decoded track as min/max pairs per column; null when streaming
+export function getWaveform(columns = 1024) {
+  return audioBuffer ? computeWaveformPeaks(audioBuffer, columns) : null;
+}
+
+// True when the track plays from a media element rather than a decoded buffer
+export function isStreaming() {
+  return stream !== null;
+}
+
+// Get the decoded audio (used to mux the soundtrack into exports); null when streaming
+export function getAudioBuffer() {
+  return audioBuffer || null;
+}
+
+// Drive getCurrentTime() from an external clock (null returns to the audio clock)
+export function setVirtualTime(time) {
+  virtualTime = time;
 }
 
 // Start audio playback
 export function startAudio() {
-  if (!audioBuffer || !isAudioLoaded) {
+  if (!isAudioLoaded) {
     console.warn("Audio not loaded yet");
     return;
   }
@@ -82,14 +281,33 @@ export function startAudio() {
     audioContext.resume();
   }
   
-  // Create new source node
+  const offset = pauseTime;
+  if (stream) {
+    stream.play(offset, playbackRate).catch(error => console.warn('Stream playback failed:', error));
+  } else {
+    startBufferSource(offset);
+  }
+  startTime = audioContext.currentTime;
+  startOffset = offset;
+  isPlaying = true;
+  
+  console.log("Audio started from:", offset);
+}
+
+function startBufferSource(offset) {
+  // Create new source node, faded in over a few milliseconds
+  const now = audioContext.currentTime;
   sourceNode = audioContext.createBufferSource();
   sourceNode.buffer = audioBuffer;
-  sourceNode.connect(audioContext.destination);
+  sourceGain = audioContext.createGain();
+  sourceGain.gain.setValueAtTime(0, now);
+  sourceGain.gain.linearRampToValueAtTime(1, now + DECLICK_TIME);
+  sourceNode.connect(sourceGain);
+  sourceGain.connect(analyser);
   
   // Handle end of playback
   sourceNode.onended = () => {
-    if (isPlaying && getCurrentTime() >= audioBuffer.duration - 0.1) {
+    if (isPlaying && getPlaybackPosition() >= audioBuffer.duration - 0.1) {
       console.log("Audio ended naturally");
       isPlaying = false;
       pauseTime = 0;
@@ -98,25 +316,43 @@ export function startAudio() {
   };
   
   // Start playback from pause position
-  const offset = pauseTime;
+  sourceNode.playbackRate.value = playbackRate;
+  applyLoopToSource();
   sourceNode.start(0, offset);
-  startTime = audioContext.currentTime - offset;
-  isPlaying = true;
+}
+
+// Fade the current source out and stop it once silent
+function stopSource() {
+  if (stream) {
+    stream.pause();
+    return;
+  }
+  if (!sourceNode) return;
   
-  console.log("Audio started from:", offset);
+  const node = sourceNode;
+  const gain = sourceGain;
+  const now = audioContext.currentTime;
+  gain.gain.cancelScheduledValues(now);
+  gain.gain.setValueAtTime(gain.gain.value, now);
+  gain.gain.linearRampToValueAtTime(0, now + DECLICK_TIME);
+  node.onended = () => {
+    node.disconnect();
+    gain.disconnect();
+  };
+  node.stop(now + DECLICK_TIME);
+  
+  sourceNode = null;
+  sourceGain = null;
 }
 
 // Pause audio playback
 export function pauseAudio() {
-  if (!sourceNode || !isPlaying) return;
+  if (!isPlaying) return;
   
   // Save current position
-  pauseTime = getCurrentTime();
+  pauseTime = getPlaybackPosition();
   
-  // Stop the source
-  sourceNode.stop();
-  sourceNode.disconnect();
-  sourceNode = null;
+  stopSource();
   isPlaying = false;
   
   console.log("Audio paused at:", pauseTime);
@@ -124,7 +360,7 @@ export function pauseAudio() {
 
 // Toggle play/pause
 export function togglePlayPause() {
-  if (!audioBuffer || !isAudioLoaded) {
+  if (!isAudioLoaded) {
     console.warn("Audio not loaded yet");
     return false;
   }
@@ -140,9 +376,17 @@ export function togglePlayPause() {
 
 // Update function called from main animation loop
 export function update(deltaTime) {
-  if (!audioBuffer || !isAudioLoaded) return;
+  if (!isAudioLoaded) return;
   
+  if (stream) syncStream();
   const currentTime = getCurrentTime();
+  updateAnalysis(currentTime);
+  
+  // Playback jumped back to the loop start
+  if (loopRegion && isPlaying && lastUpdateTime !== null && currentTime < lastUpdateTime) {
+    callbacks.onLoop(currentTime);
+  }
+  lastUpdateTime = currentTime;
   
   // Call the time update callback
   if (callbacks.onTimeUpdate) {
@@ -150,31 +394,326 @@ export function update(deltaTime) {
   }
   
   // Check if we've reached the end
-  if (isPlaying && currentTime >= audioBuffer.duration) {
+  if (isPlaying && currentTime >= getAudioDuration()) {
     isPlaying = false;
     pauseTime = 0;
     startTime = 0;
   }
 }
 
+// The media element has no loop points and its clock drifts from the context's,
+// so loop it by hand and follow it when it wanders off
+function syncStream() {
+  if (!isPlaying || virtualTime !== null) return;
+  
+  const position = startOffset + (audioContext.currentTime - startTime) * playbackRate;
+  if (loopRegion && startOffset < loopRegion.end && position >= loopRegion.end) {
+    seek(loopRegion.start);
+    return;
+  }
+  if (Math.abs(stream.currentTime - position) > MAX_STREAM_DRIFT && !stream.element.seeking) {
+    startOffset = stream.currentTime;
+    startTime = audioContext.currentTime;
+  }
+}
+
+// Sample features for this frame and fire beat/onset events crossed since the last one
+function updateAnalysis(time) {
+  if (analysis) {
+    features = sampleAnalysis(analysis, time);
+  } else if (isPlaying && virtualTime === null) {
+    analyser.getFloatTimeDomainData(analyserSamples);
+    features = liveExtractor.process(analyserSamples);
+  } else {
+    features = { rms: 0, bands: {}, flux: 0 };
+  }
+
+  if (analysis && lastEventTime !== null && time > lastEventTime && time - lastEventTime <= MAX_EVENT_GAP) {
+    for (const beatTime of eventsBetween(analysis.beats, lastEventTime, time)) {
+      const index = analysis.beats.indexOf(beatTime);
+      beatListeners.forEach(listener => listener({ time: beatTime, index, bpm: analysis.bpm }));
+    }
+    for (const onsetTime of eventsBetween(analysis.onsets, lastEventTime, time)) {
+      onsetListeners.forEach(listener => listener({ time: onsetTime }));
+    }
+  }
+  lastEventTime = time;
+}
+
+// Current band levels (0-1), e.g. { sub, bass, mid, high }
+export function getBands() {
+  return features.bands;
+}
+
+// Current RMS level of the signal
+export function getRMS() {
+  return features.rms;
+}
+
+// Current spectral flux (onset strength)
+export function getFlux() {
+  return features.flux;
+}
+
+// Features at any time from the offline analysis, or null before it's ready
+export function getFeaturesAt(time) {
+  return analysis ? sampleAnalysis(analysis, time) : null;
+}
+
+// The whole-track analysis ({ frameRate, rms, bands, flux, onsets, beats, bpm }) or null
+export function getAnalysis() {
+  return analysis;
+}
+
+// Subscribe to beats: listener({ time, index, bpm }). Returns an unsubscribe function
+export function onBeat(listener) {
+  beatListeners.add(listener);
+  return () => beatListeners.delete(listener);
+}
+
+// Subscribe to onsets: listener({ time }). Returns an unsubscribe function
+export function onOnset(listener) {
+  onsetListeners.add(listener);
+  return () => onsetListeners.delete(listener);
+}
+
+// Jump to a time (seconds); playback continues from there if it was running
+export function seek(time) {
+  if (!isAudioLoaded) return;
+  
+  const target = THREE.MathUtils.clamp(time, 0, getAudioDuration());
+  if (isPlaying) {
+    stopSource();
+    isPlaying = false;
+    pauseTime = target;
+    startAudio();
+  } else {
+    pauseTime = target;
+  }
+}
+
+// Start a scrub: hold playback so the position follows the scrubber alone
+export function beginScrub() {
+  if (!isAudioLoaded || scrubbing) return;
+  
+  scrubbing = true;
+  resumeAfterScrub = isPlaying;
+  if (isPlaying) {
+    pauseTime = getPlaybackPosition();
+    stopSource();
+    isPlaying = false;
+  }
+}
+
+// Move the scrub position, previewing the audio there
+export function updateScrub(time) {
+  if (!scrubbing) beginScrub();
+  if (!scrubbing) return;
+  
+  pauseTime = THREE.MathUtils.clamp(time, 0, getAudioDuration());
+  playGrain(pauseTime);
+  callbacks.onScrub(pauseTime);
+}
+
+// Finish a scrub at a time, resume if playback was running, and let the app resync
+export function endScrub(time = pauseTime) {
+  if (!scrubbing) return;
+  
+  scrubbing = false;
+  pauseTime = THREE.MathUtils.clamp(time, 0, getAudioDuration());
+  if (resumeAfterScrub) startAudio();
+  resumeAfterScrub = false;
+  callbacks.onScrubComplete(pauseTime);
+}
+
+export function isScrubbing() {
+  return scrubbing;
+}
+
+// Scrubber 'input' events while dragging
+export function handleScrubberInput(event) {
+  updateScrub(parseFloat(event.target.value));
+}
+
+// Scrubber 'change' event on release
+export function handleScrubberChange(event) {
+  const time = parseFloat(event.target.value);
+  if (!scrubbing) updateScrub(time);
+  endScrub(time);
+}
+
+// A short enveloped snippet of the buffer at time, rate limited. Streams have no preview
+function playGrain(time) {
+  if (!audioBuffer) return;
+  
+  const now = audioContext.currentTime;
+  if (now - lastGrainTime < GRAIN_INTERVAL) return;
+  lastGrainTime = now;
+  if (audioContext.state === 'suspended') audioContext.resume();
+  
+  const grain = audioContext.createBufferSource();
+  grain.buffer = audioBuffer;
+  const envelope = audioContext.createGain();
+  envelope.gain.setValueAtTime(0, now);
+  envelope.gain.linearRampToValueAtTime(1, now + DECLICK_TIME);
+  envelope.gain.setValueAtTime(1, now + GRAIN_LENGTH - DECLICK_TIME);
+  envelope.gain.linearRampToValueAtTime(0, now + GRAIN_LENGTH);
+  grain.connect(envelope);
+  envelope.connect(analyser);
+  grain.onended = () => {
+    grain.disconnect();
+    envelope.disconnect();
+  };
+  grain.start(now, Math.min(time, Math.max(0, audioBuffer.duration - GRAIN_LENGTH)), GRAIN_LENGTH);
+}
+
+// Loop playback between start and end (seconds). Playback past the end jumps to the start
+export function setLoopRegion(start, end) {
+  const duration = getAudioDuration();
+  const a = THREE.MathUtils.clamp(Math.min(start, end), 0, duration);
+  const b = THREE.MathUtils.clamp(Math.max(start, end), 0, duration);
+  if (b - a < MIN_LOOP_LENGTH) {
+    console.warn('Loop region too short:', a, b);
+    return null;
+  }
+  
+  reanchor();
+  loopRegion = { start: a, end: b };
+  if (isPlaying && getPlaybackPosition() >= b) {
+    seek(a);
+  } else {
+    if (!isPlaying && pauseTime >= b) pauseTime = a;
+    applyLoopToSource();
+  }
+  return loopRegion;
+}
+
+export function clearLoopRegion() {
+  reanchor();
+  loopRegion = null;
+  applyLoopToSource();
+}
+
+// The active loop region ({ start, end }) or null
+export function getLoopRegion() {
+  return loopRegion;
+}
+
+function applyLoopToSource() {
+  if (!sourceNode) return;
+  sourceNode.loop = !!loopRegion;
+  if (loopRegion) {
+    sourceNode.loopStart = loopRegion.start;
+    sourceNode.loopEnd = loopRegion.end;
+  }
+}
+
+// Playback speed (0.25-2). Pitch follows the rate
+export function setPlaybackRate(rate) {
+  reanchor();
+  playbackRate = THREE.MathUtils.clamp(Number(rate) || 1, MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE);
+  sourceNode?.playbackRate.setValueAtTime(playbackRate, audioContext.currentTime);
+  stream?.setRate(playbackRate);
+  return playbackRate;
+}
+
+export function getPlaybackRate() {
+  return playbackRate;
+}
+
 // Check if currently playing
 export function isCurrentlyPlaying() {
   return isPlaying;
 }
 
-// Set volume (0-1)
+// Set volume (0-1), remembered across reloads
 export function setVolume(value) {
-  // You can implement a GainNode if volume control is needed
-  console.log("Volume control not implemented in this version");
+  volume = THREE.MathUtils.clamp(Number(value) || 0, 0, 1);
+  applyVolume();
+  saveVolume();
+}
+
+export function getVolume() {
+  return volume;
+}
+
+export function mute() {
+  muted = true;
+  applyVolume();
+  saveVolume();
+}
+
+export function unmute() {
+  muted = false;
+  applyVolume();
+  saveVolume();
+}
+
+// Toggle mute, returns the new muted state
+export function toggleMute() {
+  if (muted) unmute(); else mute();
+  return muted;
+}
+
+export function isMuted() {
+  return muted;
+}
+
+// Ramp the fade stage to a level (0-1) over duration seconds
+export function fadeTo(level, duration = 1) {
+  if (!fadeGain) return;
+  const now = audioContext.currentTime;
+  const gain = fadeGain.gain;
+  fadeLevel = THREE.MathUtils.clamp(level, 0, 1);
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(gain.value, now);
+  gain.linearRampToValueAtTime(fadeLevel, now + Math.max(duration, DECLICK_TIME));
+}
+
+export function fadeIn(duration = 1) {
+  fadeTo(1, duration);
+}
+
+export function fadeOut(duration = 1) {
+  fadeTo(0, duration);
+}
+
+// Hold the fade stage at a level; used by timeline cues evaluated every frame
+export function setFadeLevel(level) {
+  level = THREE.MathUtils.clamp(level, 0, 1);
+  if (!fadeGain || level === fadeLevel) return;
+  fadeLevel = level;
+  fadeGain.gain.setTargetAtTime(level, audioContext.currentTime, DECLICK_TIME / 3);
+}
+
+function applyVolume() {
+  if (!outputGain) return;
+  outputGain.gain.setTargetAtTime(muted ? 0 : volume, audioContext.currentTime, DECLICK_TIME / 3);
+}
+
+function saveVolume() {
+  try {
+    localStorage.setItem(VOLUME_STORAGE_KEY, JSON.stringify({ volume, muted }));
+  } catch (error) {
+    // Storage can be unavailable (private mode); the setting just won't persist
+  }
+}
+
+function restoreVolume() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VOLUME_STORAGE_KEY));
+    if (Number.isFinite(saved?.volume)) volume = THREE.MathUtils.clamp(saved.volume, 0, 1);
+    if (typeof saved?.muted === 'boolean') muted = saved.muted;
+  } catch (error) {
+    console.warn('Could not restore volume:', error);
+  }
 }
 
 // Reset audio to beginning
 export function reset() {
-  if (sourceNode && isPlaying) {
-    sourceNode.stop();
-    sourceNode.disconnect();
-  }
+  stopSource();
   pauseTime = 0;
   startTime = 0;
+  startOffset = 0;
   isPlaying = false;
 }
\ No newline at end of file
@@ -0,0 +1,290 @@
+// audio-analysis.js - FFT bands, RMS, spectral flux onsets and beats, live or from a decoded buffer
+
+export const DEFAULT_BANDS = {
+  sub: [20, 60],
+  bass: [60, 250],
+  mid: [250, 4000],
+  high: [4000, 16000]
+};
+
+const DEFAULTS = {
+  fftSize: 2048,
+  hopSize: 512,
+  bands: DEFAULT_BANDS,
+  minDecibels: -80,
+  maxDecibels: -10
+};
+
+/**
+ * Computes per-frame features from a window of mono samples. The same code
+ * runs on AnalyserNode time-domain data and on offline buffer windows, so
+ * live values match the precomputed ones
+ */
+class FeatureExtractor {
+  constructor(sampleRate, options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.sampleRate = sampleRate;
+
+    const { fftSize } = this.options;
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (fftSize - 1));
+
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+    this.magnitudes = new Float32Array(fftSize / 2);
+    this.previous = new Float32Array(fftSize / 2);
+    this.bitReversal = createBitReversal(fftSize);
+    this.cosTable = new Float32Array(fftSize / 2);
+    this.sinTable = new Float32Array(fftSize / 2);
+    for (let i = 0; i < fftSize / 2; i++) {
+      this.cosTable[i] = Math.cos(-2 * Math.PI * i / fftSize);
+      this.sinTable[i] = Math.sin(-2 * Math.PI * i / fftSize);
+    }
+
+    // Bin ranges per band
+    const binWidth = sampleRate / fftSize;
+    this.bandBins = Object.entries(this.options.bands).map(([name, [low, high]]) => ({
+      name,
+      start: Math.max(1, Math.floor(low / binWidth)),
+      end: Math.min(fftSize / 2, Math.ceil(high / binWidth))
+    }));
+  }
+
+  /**
+   * Features for one window: { rms, bands: { name: 0-1 }, flux }
+   */
+  process(samples) {
+    const { fftSize, minDecibels, maxDecibels } = this.options;
+    const { real, imag, magnitudes, previous } = this;
+
+    let sumSquares = 0;
+    for (let i = 0; i < fftSize; i++) {
+      const sample = samples[i] || 0;
+      sumSquares += sample * sample;
+      real[this.bitReversal[i]] = sample * this.window[i];
+      imag[this.bitReversal[i]] = 0;
+    }
+    fft(real, imag, this.cosTable, this.sinTable);
+
+    // Scale so a full-scale sine reads 1 (Hann coherent gain is 0.5)
+    const scale = 4 / fftSize;
+    let flux = 0;
+    for (let bin = 0; bin < magnitudes.length; bin++) {
+      const magnitude = Math.hypot(real[bin], imag[bin]) * scale;
+      const compressed = Math.log1p(100 * magnitude);
+      flux += Math.max(0, compressed - previous[bin]);
+      previous[bin] = compressed;
+      magnitudes[bin] = magnitude;
+    }
+
+    const bands = {};
+    for (const { name, start, end } of this.bandBins) {
+      let energy = 0;
+      for (let bin = start; bin < end; bin++) energy += magnitudes[bin] * magnitudes[bin];
+      const level = Math.sqrt(energy / Math.max(1, end - start));
+      const decibels = 20 * Math.log10(level + 1e-12);
+      bands[name] = Math.min(1, Math.max(0, (decibels - minDecibels) / (maxDecibels - minDecibels)));
+    }
+
+    return { rms: Math.sqrt(sumSquares / fftSize), bands, flux: flux / magnitudes.length };
+  }
+
+  reset() {
+    this.previous.fill(0);
+  }
+}
+
+/**
+ * Analyse a whole AudioBuffer: per-frame RMS, bands and flux plus onset and
+ * beat times. Yields to the event loop between batches so loading stays responsive
+ */
+export async function analyzeBuffer(audioBuffer, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { fftSize, hopSize } = settings;
+  const extractor = new FeatureExtractor(audioBuffer.sampleRate, settings);
+  const mono = mixToMono(audioBuffer);
+
+  const frameCount = Math.max(1, Math.ceil(mono.length / hopSize));
+  const rms = new Float32Array(frameCount);
+  const flux = new Float32Array(frameCount);
+  const bands = Object.fromEntries(Object.keys(settings.bands).map(name => [name, new Float32Array(frameCount)]));
+  const windowSamples = new Float32Array(fftSize);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    // Windows end at the frame time, like an AnalyserNode reading the latest samples
+    const end = frame * hopSize;
+    windowSamples.fill(0);
+    const start = end - fftSize;
+    windowSamples.set(mono.subarray(Math.max(0, start), end), Math.max(0, -start));
+
+    const features = extractor.process(windowSamples);
+    rms[frame] = features.rms;
+    flux[frame] = features.flux;
+    for (const name in bands) bands[name][frame] = features.bands[name];
+
+    if (frame % 512 === 511) await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  const frameRate = audioBuffer.sampleRate / hopSize;
+  const onsets = pickOnsets(flux, frameRate);
+  const { bpm, beats } = trackBeats(flux, frameRate, audioBuffer.duration);
+
+  return { frameRate, duration: audioBuffer.duration, rms, bands, flux, onsets, beats, bpm, options: settings };
+}
+
+/**
+ * Interpolated features of an analysis at a time: { rms, bands, flux }
+ */
+export function sampleAnalysis(analysis, time) {
+  const position = Math.max(0, time * analysis.frameRate);
+  const index = Math.min(Math.floor(position), analysis.rms.length - 1);
+  const next = Math.min(index + 1, analysis.rms.length - 1);
+  const t = Math.min(1, position - index);
+  const lerp = array => array[index] + (array[next] - array[index]) * t;
+
+  const bands = {};
+  for (const name in analysis.bands) bands[name] = lerp(analysis.bands[name]);
+  return { rms: lerp(analysis.rms), bands, flux: lerp(analysis.flux) };
+}
+
+// Min/max sample per column across all channels, packed [min0, max0, min1, max1, ...]
+export function computeWaveformPeaks(audioBuffer, columns) {
+  const peaks = new Float32Array(columns * 2);
+  const samplesPerColumn = audioBuffer.length / columns;
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let column = 0; column < columns; column++) {
+      const start = Math.floor(column * samplesPerColumn);
+      const end = Math.min(data.length, Math.floor((column + 1) * samplesPerColumn));
+      let min = peaks[column * 2], max = peaks[column * 2 + 1];
+      for (let i = start; i < end; i++) {
+        if (data[i] < min) min = data[i];
+        if (data[i] > max) max = data[i];
+      }
+      peaks[column * 2] = min;
+      peaks[column * 2 + 1] = max;
+    }
+  }
+  return peaks;
+}
+
+// Times in (from, to] of a sorted event list
+export function eventsBetween(times, from, to) {
+  const events = [];
+  for (const time of times) {
+    if (time > to) break;
+    if (time > from) events.push(time);
+  }
+  return events;
+}
+
+// Onsets are flux peaks above a local adaptive threshold, at least 100ms apart
+function pickOnsets(flux, frameRate) {
+  const radius = Math.max(1, Math.round(frameRate * 0.05));
+  const meanRadius = Math.max(1, Math.round(frameRate * 0.1));
+  const minGap = 0.1;
+  const onsets = [];
+
+  for (let i = 1; i < flux.length - 1; i++) {
+    let isPeak = true;
+    for (let j = Math.max(0, i - radius); j <= Math.min(flux.length - 1, i + radius); j++) {
+      if (flux[j] > flux[i]) { isPeak = false; break; }
+    }
+    if (!isPeak) continue;
+
+    let sum = 0, count = 0;
+    for (let j = Math.max(0, i - meanRadius); j <= Math.min(flux.length - 1, i + meanRadius); j++) {
+      sum += flux[j]; count++;
+    }
+    if (flux[i] < (sum / count) * 1.5 + 0.001) continue;
+
+    const time = i / frameRate;
+    if (onsets.length && time - onsets[onsets.length - 1] < minGap) continue;
+    onsets.push(time);
+  }
+  return onsets;
+}
+
+// Tempo from the autocorrelation of the onset strength, phase from the best
+// aligned beat grid, then each beat snapped to the nearest flux peak
+function trackBeats(flux, frameRate, duration) {
+  const minLag = Math.round(frameRate * 60 / 180);
+  const maxLag = Math.round(frameRate * 60 / 60);
+  if (flux.length <= maxLag * 2) return { bpm: 0, beats: [] };
+
+  let mean = 0;
+  for (const value of flux) mean += value;
+  mean /= flux.length;
+  const strength = Float32Array.from(flux, value => Math.max(0, value - mean));
+
+  let bestLag = minLag, bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let score = 0;
+    for (let i = lag; i < strength.length; i++) score += strength[i] * strength[i - lag];
+    // Slight preference for tempos near 120 BPM to avoid octave errors
+    const bpm = 60 * frameRate / lag;
+    score *= Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+    if (score > bestScore) { bestScore = score; bestLag = lag; }
+  }
+
+  let bestPhase = 0, bestPhaseScore = -Infinity;
+  for (let phase = 0; phase < bestLag; phase++) {
+    let score = 0;
+    for (let i = phase; i < strength.length; i += bestLag) score += strength[i];
+    if (score > bestPhaseScore) { bestPhaseScore = score; bestPhase = phase; }
+  }
+
+  const tolerance = Math.max(1, Math.round(bestLag * 0.1));
+  const beats = [];
+  for (let i = bestPhase; i < strength.length; i += bestLag) {
+    let peak = i;
+    for (let j = Math.max(0, i - tolerance); j <= Math.min(strength.length - 1, i + tolerance); j++) {
+      if (strength[j] > strength[peak]) peak = j;
+    }
+    const time = peak / frameRate;
+    if (time <= duration && (!beats.length || time > beats[beats.length - 1])) beats.push(time);
+  }
+
+  return { bpm: 60 * frameRate / bestLag, beats };
+}
+
+function mixToMono(audioBuffer) {
+  const mono = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+  }
+  return mono;
+}
+
+function createBitReversal(size) {
+  const bits = Math.log2(size);
+  const table = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let reversed = 0;
+    for (let bit = 0; bit < bits; bit++) reversed |= ((i >> bit) & 1) << (bits - 1 - bit);
+    table[i] = reversed;
+  }
+  return table;
+}
+
+// In-place iterative radix-2 FFT on bit-reversed input, with precomputed twiddles
+function fft(real, imag, cosTable, sinTable) {
+  const size = real.length;
+  for (let length = 2; length <= size; length <<= 1) {
+    const half = length >> 1;
+    const step = size / length;
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < half; k++) {
+        const cos = cosTable[k * step], sin = sinTable[k * step];
+        const a = start + k, b = a + half;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr; imag[b] = imag[a] - ti;
+        real[a] += tr; imag[a] += ti;
+      }
+    }
+  }
+}
+
+export { FeatureExtractor };
@@ -0,0 +1,206 @@
+// audio-bindings.js - JSON configured mappings from audio features to scene parameters
+import * as THREE from 'three';
+import { getEasing } from './easing.js';
+import { loadJSON } from './file-loader.js';
+
+const EVENT_SOURCES = ['beat', 'onset'];
+const MAX_STEP = 0.25; // Larger time jumps are seeks: smoothing snaps instead of gliding
+
+// Load a bindings file
+export function loadAudioBindings(path, manager) {
+  return loadJSON(path, manager, parseAudioBindings, 'audio bindings');
+}
+
+// Normalize a bindings file ({ bindings: [...] } or a bare array) into validated bindings
+export function parseAudioBindings(data) {
+  const bindings = Array.isArray(data) ? data : data?.bindings;
+  if (!Array.isArray(bindings)) {
+    throw new Error('Audio bindings must contain a "bindings" array');
+  }
+
+  const names = new Set();
+  return bindings.map((binding, index) => {
+    const name = binding?.name ?? `${binding?.source}->${binding?.target}`;
+    const label = `"${name}"`;
+
+    if (names.has(name)) throw new Error(`Duplicate binding ${label}`);
+    names.add(name);
+    if (typeof binding.source !== 'string' || !binding.source) throw new Error(`Binding #${index} is missing a source`);
+    if (typeof binding.target !== 'string' || !binding.target) throw new Error(`Binding ${label} is missing a target`);
+
+    const input = binding.input ?? [0, 1];
+    const output = binding.output ?? [0, 1];
+    for (const [key, range] of [['input', input], ['output', output]]) {
+      if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+        throw new Error(`Binding ${label} has an invalid ${key} range`);
+      }
+    }
+    if (binding.curve) getEasing(binding.curve);
+
+    const event = EVENT_SOURCES.includes(binding.source);
+    return {
+      name,
+      source: binding.source,
+      target: binding.target,
+      input,
+      output,
+      curve: binding.curve ?? 'linear',
+      // Event sources jump to 1 and fall back with the release time
+      attack: binding.attack ?? (event ? 0 : 0.05),
+      release: binding.release ?? 0.2,
+      enabled: binding.enabled ?? true
+    };
+  });
+}
+
+/**
+ * Evaluates bindings against a frame of audio features and writes the mapped
+ * values into the target objects. Targets are dotted paths into the roots
+ * given to the constructor; a path ending in a function calls it with the value.
+ * Smoothing is driven by audio time, so export renders glide the same way
+ */
+class AudioBindings {
+  constructor(bindings, roots) {
+    this.enabled = true;
+    this.lastTime = null;
+    this.bindings = bindings.map(binding => ({
+      ...binding,
+      easing: getEasing(binding.curve),
+      path: binding.target,
+      target: resolveTarget(roots, binding.target),
+      value: 0,
+      base: undefined
+    }));
+  }
+
+  get(name) {
+    return this.bindings.find(binding => binding.name === name) || null;
+  }
+
+  // Turn one binding (or all of them without a name) on or off; off restores the target
+  setEnabled(name, enabled) {
+    if (typeof name === 'boolean') {
+      this.enabled = name;
+      if (!this.enabled) this.bindings.forEach(binding => restore(binding));
+      return this;
+    }
+
+    const binding = this.get(name);
+    if (binding) {
+      binding.enabled = enabled;
+      if (!enabled) restore(binding);
+    }
+    return this;
+  }
+
+  // A value set by hand on a bound target, restored when its bindings turn off
+  setBase(path, value) {
+    for (const binding of this.bindings) {
+      if (binding.path === path && binding.base !== undefined) binding.base = value;
+    }
+  }
+
+  // The value a bound target rests at without its bindings, or undefined before any binding wrote it
+  getBase(path) {
+    return this.bindings.find(binding => binding.path === path && binding.base !== undefined)?.base;
+  }
+
+  // Re-resolve targets against new roots, e.g. after a pass was replaced; unchanged targets keep their state
+  setRoots(roots) {
+    for (const binding of this.bindings) {
+      const target = resolveTarget(roots, binding.path);
+      if (target?.object === binding.target?.object && target?.key === binding.target?.key) continue;
+      restore(binding);
+      binding.target = target;
+      binding.base = undefined;
+    }
+  }
+
+  toggle(name) {
+    if (name === undefined) return this.setEnabled(!this.enabled).enabled;
+    const binding = this.get(name);
+    if (binding) this.setEnabled(name, !binding.enabled);
+    return binding?.enabled ?? false;
+  }
+
+  /**
+   * Apply every enabled binding. features is { rms, flux, bands: {...}, beat, onset }
+   * where beat and onset are true on the frame an event fired
+   */
+  evaluate(features, time) {
+    const step = this.lastTime === null ? Infinity : time - this.lastTime;
+    const snap = !(step >= 0 && step <= MAX_STEP);
+    this.lastTime = time;
+    if (!this.enabled) return;
+
+    for (const binding of this.bindings) {
+      if (!binding.enabled || !binding.target) continue;
+
+      const [inMin, inMax] = binding.input;
+      const raw = readSource(features, binding.source);
+      const target = THREE.MathUtils.clamp((raw - inMin) / (inMax - inMin || 1), 0, 1);
+      binding.value = snap ? target : smooth(binding.value, target, step, binding.attack, binding.release);
+
+      const [outMin, outMax] = binding.output;
+      write(binding, THREE.MathUtils.lerp(outMin, outMax, binding.easing(binding.value)));
+    }
+  }
+
+  dispose() {
+    this.setEnabled(false);
+    this.bindings = [];
+  }
+}
+
+// "bands.bass", "rms", "flux", "beat" or "onset"
+function readSource(features, source) {
+  if (source.startsWith('bands.')) return features.bands?.[source.slice(6)] ?? 0;
+  const value = features[source];
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return Number.isFinite(value) ? value : 0;
+}
+
+// One-pole follower with separate rise and fall time constants (seconds)
+function smooth(current, target, step, attack, release) {
+  const tau = target > current ? attack : release;
+  if (tau <= 0) return target;
+  return current + (target - current) * (1 - Math.exp(-step / tau));
+}
+
+function resolveTarget(roots, path) {
+  const keys = path.split('.');
+  const key = keys.pop();
+  let object = roots;
+  for (const part of keys) {
+    object = object?.[part];
+  }
+  if (object == null || !(key in object)) {
+    console.warn(`Audio binding target not found: ${path}`);
+    return null;
+  }
+  return { object, key };
+}
+
+function write(binding, value) {
+  const { object, key } = binding.target;
+  if (typeof object[key] === 'function') {
+    object[key](value);
+    return;
+  }
+  if (binding.base === undefined) binding.base = object[key];
+  object[key] = value;
+}
+
+// Put back the value the target had before the binding took over
+function restore(binding) {
+  if (!binding.target) return;
+  const { object, key } = binding.target;
+  if (typeof object[key] === 'function') {
+    object[key](binding.output[0]);
+  } else if (binding.base !== undefined) {
+    object[key] = binding.base;
+  }
+  binding.value = 0;
+}
+
+export { AudioBindings };
@@ -0,0 +1,142 @@
+// audio-stream.js - HTMLMediaElement playback routed into the Web Audio graph, for tracks too long to decode up front
+import { parseID3 } from './id3-parser.js';
+
+const DECLICK_TIME = 0.015;
+
+/**
+ * Streams a track through an <audio> element and a MediaElementAudioSourceNode,
+ * so playback starts before the file has downloaded and nothing is decoded to PCM.
+ * The controller keeps the clock; this only starts, stops and positions the element
+ */
+class StreamingSource {
+  constructor(audioContext, output) {
+    this.audioContext = audioContext;
+    this.output = output;
+    this.element = null;
+    this.node = null;
+    this.gain = null;
+    this.pauseTimer = null;
+    this.onEnded = null;
+  }
+
+  /**
+   * Attach the element to the URL and resolve with the duration once metadata is in
+   */
+  load(url) {
+    return new Promise((resolve, reject) => {
+      const element = new Audio();
+      element.crossOrigin = 'anonymous';
+      element.preload = 'auto';
+      // Match the buffer backend: rate changes shift the pitch
+      element.preservesPitch = false;
+
+      element.addEventListener('loadedmetadata', () => resolve(element.duration), { once: true });
+      element.addEventListener('error', () => reject(new Error(`Failed to stream audio: ${url}`)), { once: true });
+      element.addEventListener('ended', () => this.onEnded?.());
+      element.src = url;
+
+      this.element = element;
+      this.node = this.audioContext.createMediaElementSource(element);
+      this.gain = this.audioContext.createGain();
+      this.gain.gain.value = 0;
+      this.node.connect(this.gain);
+      this.gain.connect(this.output);
+    });
+  }
+
+  get duration() {
+    return this.element?.duration || 0;
+  }
+
+  // The element's own position, coarser than the context clock
+  get currentTime() {
+    return this.element?.currentTime || 0;
+  }
+
+  play(offset, rate) {
+    clearTimeout(this.pauseTimer);
+    this.element.currentTime = offset;
+    this.element.playbackRate = rate;
+    this.ramp(1);
+    return this.element.play();
+  }
+
+  // Fade out, then pause once silent
+  pause() {
+    this.ramp(0);
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = setTimeout(() => this.element.pause(), DECLICK_TIME * 1000);
+  }
+
+  setRate(rate) {
+    if (this.element) this.element.playbackRate = rate;
+  }
+
+  ramp(value) {
+    const now = this.audioContext.currentTime;
+    const gain = this.gain.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(value, now + DECLICK_TIME);
+  }
+
+  dispose() {
+    clearTimeout(this.pauseTimer);
+    this.element?.pause();
+    this.element?.removeAttribute('src');
+    this.node?.disconnect();
+    this.gain?.disconnect();
+    this.element = this.node = this.gain = null;
+  }
+}
+
+// Content-Length from a HEAD request, or null when the server doesn't say
+export async function fetchContentLength(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    const length = parseInt(response.headers.get('Content-Length'), 10);
+    return response.ok && Number.isFinite(length) ? length : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Duration from the file's metadata alone
+export function probeDuration(url) {
+  return new Promise(resolve => {
+    const element = new Audio();
+    element.preload = 'metadata';
+    element.addEventListener('loadedmetadata', () => {
+      resolve(element.duration);
+      element.removeAttribute('src');
+    }, { once: true });
+    element.addEventListener('error', () => resolve(null), { once: true });
+    element.src = url;
+  });
+}
+
+// ID3 tags through range requests, so a streamed file isn't downloaded just for its tags
+export async function fetchID3(url) {
+  const header = await fetchRange(url, 0, 9);
+  if (!header || header.byteLength < 10) return null;
+
+  const bytes = new Uint8Array(header);
+  if (String.fromCharCode(bytes[0], bytes[1], bytes[2]) !== 'ID3') return null;
+
+  const tagSize = ((bytes[6] & 0x7F) << 21) | ((bytes[7] & 0x7F) << 14) | ((bytes[8] & 0x7F) << 7) | (bytes[9] & 0x7F);
+  const footer = bytes[3] === 4 && (bytes[5] & 0x10) ? 10 : 0;
+  const tag = await fetchRange(url, 0, 10 + tagSize + footer - 1);
+  return tag ? parseID3(tag) : null;
+}
+
+// Bytes [start, end] of a file, or null if the server ignores ranges
+async function fetchRange(url, start, end) {
+  const response = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+  if (response.status !== 206) {
+    response.body?.cancel();
+    return null;
+  }
+  return response.arrayBuffer();
+}
+
+export { StreamingSource };
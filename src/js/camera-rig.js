@@ -0,0 +1,128 @@
+// camera-rig.js - Keyframed camera path on a Catmull-Rom spline, sampled by audio time
+import * as THREE from 'three';
+import { getEasing } from './easing.js';
+import { loadJSON } from './file-loader.js';
+
+// Load a camera path ({ curve, keyframes: [...] })
+export function loadCameraPath(path, manager) {
+  return loadJSON(path, manager, data => new CameraRig(data.keyframes, { curveType: data.curve }), 'camera path');
+}
+
+/**
+ * Interpolates position along a spline through the keyframes, orientation
+ * with slerp and FOV linearly. Each keyframe's easing shapes the segment
+ * that starts at it. Evaluation is stateless, so any seek is frame exact
+ */
+class CameraRig {
+  constructor(keyframes = [], { curveType = 'centripetal', tension = 0.5 } = {}) {
+    this.curveType = curveType;
+    this.tension = tension;
+    this.keyframes = [];
+    this.curve = null;
+    this.pose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), fov: null };
+    this.setKeyframes(keyframes);
+  }
+
+  /**
+   * Replace keyframes. Each needs time and position, plus one of lookAt,
+   * quaternion or rotation (Euler XYZ); fov and easing are optional
+   */
+  setKeyframes(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+      throw new Error('Camera path needs at least one keyframe');
+    }
+
+    this.keyframes = keyframes
+      .map((keyframe, index) => this.normalizeKeyframe(keyframe, index))
+      .sort((a, b) => a.time - b.time);
+
+    this.curve = new THREE.CatmullRomCurve3(
+      this.keyframes.map(keyframe => keyframe.position),
+      false,
+      this.curveType,
+      this.tension
+    );
+    return this;
+  }
+
+  normalizeKeyframe(keyframe, index) {
+    if (!Number.isFinite(keyframe.time)) throw new Error(`Keyframe #${index} has an invalid time`);
+    if (!Array.isArray(keyframe.position)) throw new Error(`Keyframe #${index} needs a position`);
+
+    const position = new THREE.Vector3().fromArray(keyframe.position);
+    const quaternion = new THREE.Quaternion();
+
+    if (keyframe.lookAt) {
+      const target = new THREE.Vector3().fromArray(keyframe.lookAt);
+      quaternion.setFromRotationMatrix(new THREE.Matrix4().lookAt(position, target, THREE.Object3D.DEFAULT_UP));
+    } else if (keyframe.quaternion) {
+      quaternion.fromArray(keyframe.quaternion).normalize();
+    } else if (keyframe.rotation) {
+      quaternion.setFromEuler(new THREE.Euler().fromArray(keyframe.rotation));
+    }
+
+    return {
+      time: keyframe.time,
+      position,
+      quaternion,
+      fov: keyframe.fov ?? null,
+      easing: getEasing(keyframe.easing)
+    };
+  }
+
+  get startTime() {
+    return this.keyframes[0].time;
+  }
+
+  get endTime() {
+    return this.keyframes[this.keyframes.length - 1].time;
+  }
+
+  /**
+   * Sample the path at a time into { position, quaternion, fov }
+   */
+  evaluate(time, target = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), fov: null }) {
+    const keyframes = this.keyframes;
+    const last = keyframes.length - 1;
+
+    // Hold the first/last pose outside the path
+    let index = 0;
+    while (index < last && time >= keyframes[index + 1].time) index++;
+
+    const from = keyframes[index];
+    const to = keyframes[Math.min(index + 1, last)];
+    const span = to.time - from.time;
+    const linear = span > 0 ? THREE.MathUtils.clamp((time - from.time) / span, 0, 1) : 0;
+    const progress = from.easing(linear);
+
+    if (last < 2) {
+      // CatmullRomCurve3 extrapolates both ends of a two-point curve into the
+      // same control point, which bends the path - a straight lerp is exact
+      target.position.lerpVectors(from.position, to.position, progress);
+    } else {
+      this.curve.getPoint((index + progress) / last, target.position);
+    }
+    target.quaternion.slerpQuaternions(from.quaternion, to.quaternion, progress);
+    target.fov = from.fov !== null && to.fov !== null
+      ? THREE.MathUtils.lerp(from.fov, to.fov, progress)
+      : (from.fov ?? to.fov);
+
+    return target;
+  }
+
+  /**
+   * Move a camera to the sampled pose
+   */
+  apply(camera, time) {
+    const pose = this.evaluate(time, this.pose);
+    camera.position.copy(pose.position);
+    camera.quaternion.copy(pose.quaternion);
+    if (pose.fov !== null && pose.fov !== camera.fov) {
+      camera.fov = pose.fov;
+      camera.updateProjectionMatrix();
+    }
+    return pose;
+  }
+}
+
+export { CameraRig };
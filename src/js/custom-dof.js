@@ -1,48 +1,46 @@
-// depth-driven-blur-pass.js - Enhanced depth-based blur with smooth transitions
+// depth-driven-blur-pass.js - Circle of confusion depth of field with separate near and far fields
 import * as THREE from 'three';
 import { Pass } from 'three/examples/jsm/postprocessing/Pass.js';
+import { CopyShader } from 'three/examples/jsm/shaders/CopyShader.js';
 
+/**
+ * Thin-lens depth of field. Depth comes from a shared DepthTexture (see
+ * SceneDepthPass) that must be rendered earlier in the frame. Each pixel's circle of confusion comes from its
+ * view distance, the focus distance, focal length and f-stop, clamped to
+ * maxBlurSize pixels. Behind the focal plane (far field) pixels gather from
+ * their own circle; in front of it (near field) blurred samples spread over
+ * whatever lies behind them, so out-of-focus foreground edges stay soft.
+ * Without a depth texture the pass copies its input through unblurred
+ */
 export class DepthDrivenBlurPass extends Pass {
-  constructor(scene, camera, maxBlurSize = 10.0) {
+  constructor(camera, depthTexture, maxBlurSize = 10.0, { focusDistance = 20, focalLength = 50, fStop = 1.4 } = {}) {
     super();
     
-    this.scene = scene;
     this.camera = camera;
     this.maxBlurSize = maxBlurSize;
     
+    // Lens: focus distance in world units (metres), focal length in mm.
+    // The focal length shapes the blur only; the field of view stays the camera's
+    this.focusDistance = focusDistance;
+    this.focalLength = focalLength;
+    this.fStop = fStop;
+    this.fStopOverride = null; // Wins over fStop while set, e.g. during a timeline cue
+    
     // Blur quality settings
     this.directions = 16.0;
     this.quality = 3.0;
     
-    // Layer exclusion properties
-    this.excludedLayers = new Set();
-    this.originalVisibility = new Map();
-    
-    // Create depth render target
-    this.depthRenderTarget = new THREE.WebGLRenderTarget(
-      window.innerWidth,
-      window.innerHeight,
-      {
-        minFilter: THREE.LinearFilter,
-        magFilter: THREE.LinearFilter,
-        format: THREE.RGBAFormat
-      }
-    );
-    
-    // Create depth material
-    this.depthMaterial = new THREE.MeshDepthMaterial({
-      depthPacking: THREE.RGBADepthPacking
-    });
-    
-    // Create blur shader material with radial gaussian blur
+    // Disc gather split into near and far fields
     this.material = new THREE.ShaderMaterial({
       uniforms: {
         tDiffuse: { value: null },
-        tDepth: { value: this.depthRenderTarget.texture },
+        tDepth: { value: depthTexture },
         resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
         maxBlurSize: { value: maxBlurSize },
         cameraNear: { value: camera.near },
         cameraFar: { value: camera.far },
+        focusDistance: { value: focusDistance },
+        cocScale: { value: 0 },
         directions: { value: this.directions },
         quality: { value: this.quality },
         debugDepth: { value: false }
@@ -57,12 +55,16 @@ export class DepthDrivenBlurPass extends Pass {
       `,
       
       fragmentShader: `
+        #include <packing>
+        
         uniform sampler2D tDiffuse;
         uniform sampler2D tDepth;
         uniform vec2 resolution;
         uniform float maxBlurSize;
         uniform float cameraNear;
         uniform float cameraFar;
+        uniform float focusDistance;
+        uniform float cocScale;
         uniform float directions;
         uniform float quality;
         uniform bool debugDepth;
@@ -70,52 +72,70 @@ export class DepthDrivenBlurPass extends Pass {
         
         const float Pi = 6.28318530718; // Pi*2
         
-        // Get depth value with smooth transitions
-        float readDepth(vec2 coord) {
+        float viewDistance(vec2 coord) {
           float fragCoordZ = texture2D(tDepth, coord).x;
-          float viewZ = (cameraNear * cameraFar) / ((cameraFar - cameraNear) * fragCoordZ - cameraFar);
-          
-          // Linear depth (0 = near, 1 = far)
-          float linearDepth = (- viewZ - cameraNear ) / (cameraFar  - cameraNear);
-          
-          // Simple smooth transition using smoothstep
-          // return smoothstep(0.1, 0.9, linearDepth);
-          return pow(linearDepth * 10.0, 0.5);
+          return -perspectiveDepthToViewZ(fragCoordZ, cameraNear, cameraFar);
+        }
+        
+        // Signed circle of confusion radius in pixels: negative in front of the focal plane
+        float circleOfConfusion(vec2 coord) {
+          float distance = viewDistance(coord);
+          return clamp(cocScale * (distance - focusDistance) / distance, -maxBlurSize, maxBlurSize);
         }
         
         void main() {
-          float depth = readDepth(vUv);
+          vec4 center = texture2D(tDiffuse, vUv);
+          float centerCoC = circleOfConfusion(vUv);
           
-          // Debug mode - show depth
+          // Debug mode - far field red, near field blue, in focus black
           if (debugDepth) {
-            gl_FragColor = vec4(vec3(depth), 1.0);
+            float range = max(maxBlurSize, 0.001);
+            gl_FragColor = vec4(max(centerCoC, 0.0) / range, 0.0, max(-centerCoC, 0.0) / range, 1.0);
             return;
           }
           
-          // Calculate blur radius based on depth
-          // depth is 0 (near) to 1 (far) but now smoothed
-          float blurSize = depth * maxBlurSize;
-          vec2 radius = blurSize / resolution;
-          
-          // Start with center sample
-          vec4 color = texture2D(tDiffuse, vUv);
-          
           // Early exit for no blur
-          if (blurSize < 0.1) {
-            gl_FragColor = color;
+          if (maxBlurSize < 0.5) {
+            gl_FragColor = center;
             return;
           }
           
-          // Radial gaussian blur
-          for(float d = 0.0; d < Pi; d += Pi / directions) {
-            for(float i = 1.0 / quality; i <= 1.0; i += 1.0 / quality) {
-              vec2 offset = vec2(cos(d), sin(d)) * radius * i;
-              color += texture2D(tDiffuse, vUv + offset);
+          float farRadius = max(centerCoC, 0.0);
+          vec4 farColor = center;
+          float farWeight = 1.0;
+          vec4 nearColor = center * step(centerCoC, -0.5);
+          float nearWeight = step(centerCoC, -0.5);
+          float nearCoverage = 0.0;
+          
+          for (float d = 0.0; d < Pi; d += Pi / directions) {
+            vec2 direction = vec2(cos(d), sin(d));
+            float covered = 0.0;
+            
+            for (float i = 1.0 / quality; i <= 1.0; i += 1.0 / quality) {
+              float radius = i * maxBlurSize;
+              vec2 coord = vUv + direction * radius / resolution;
+              vec4 color = texture2D(tDiffuse, coord);
+              float sampleCoC = circleOfConfusion(coord);
+              
+              // Far field: inside this pixel's circle, from samples blurred at least as much,
+              // so sharp foreground doesn't leak into the background
+              float far = clamp(min(farRadius, max(sampleCoC, 0.0)) - radius + 1.0, 0.0, 1.0);
+              farColor += color * far;
+              farWeight += far;
+              
+              // Near field: any foreground sample whose circle reaches this pixel
+              float near = clamp(-sampleCoC - radius + 1.0, 0.0, 1.0);
+              nearColor += color * near;
+              nearWeight += near;
+              covered = max(covered, near);
             }
+            nearCoverage += covered;
           }
           
-          // Normalize (accounting for all samples including center)
-          color /= quality * directions - 15.0;
+          // The share of directions reaching blurred foreground is how much of it lies over this pixel
+          float nearAlpha = centerCoC < -0.5 ? 1.0 : nearCoverage / directions;
+          vec4 color = farColor / farWeight;
+          if (nearWeight > 0.0) color = mix(color, nearColor / nearWeight, nearAlpha);
           gl_FragColor = color;
         }
       `
@@ -130,17 +150,59 @@ export class DepthDrivenBlurPass extends Pass {
     this.fsScene = new THREE.Scene();
     this.fsCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
     this.fsScene.add(this.fsQuad);
+    
+    // An empty depth texture reads as depth 0 everywhere: full near-field blur
+    this.copyMaterial = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(CopyShader.uniforms),
+      vertexShader: CopyShader.vertexShader,
+      fragmentShader: CopyShader.fragmentShader
+    });
   }
   
-  excludeLayer(layer) {
-    this.excludedLayers.add(layer);
-  }
-  
+  // Largest circle of confusion radius, in pixels
   setMaxBlurSize(size) {
     this.maxBlurSize = size;
     this.material.uniforms.maxBlurSize.value = size;
   }
   
+  setDepthTexture(depthTexture) {
+    this.material.uniforms.tDepth.value = depthTexture;
+  }
+  
+  setFocusDistance(distance) {
+    this.focusDistance = Math.max(this.camera.near, distance);
+  }
+  
+  // Any of { focusDistance, focalLength, fStop }
+  setLens({ focusDistance, focalLength, fStop } = {}) {
+    if (focusDistance !== undefined) this.setFocusDistance(focusDistance);
+    if (focalLength !== undefined) this.focalLength = focalLength;
+    if (fStop !== undefined) this.fStop = fStop;
+  }
+  
+  // An f-stop that replaces the lens's own until it is cleared with null
+  setFStopOverride(fStop) {
+    this.fStopOverride = fStop ?? null;
+  }
+  
+  /**
+   * Signed circle of confusion radius in pixels for a view distance, before
+   * clamping: c = A * f * (D - S) / (D * (S - f)) with aperture A = f / N,
+   * scaled from the film height to the render height
+   */
+  getCircleOfConfusion(distance) {
+    return this.getCoCScale() * (distance - this.focusDistance) / distance;
+  }
+  
+  // Circle of confusion of a point at infinity, in pixels
+  getCoCScale() {
+    const focalLength = this.focalLength;
+    const focus = Math.max(this.focusDistance * 1000, focalLength + 1); // mm
+    const aperture = focalLength / (this.fStopOverride ?? this.fStop);
+    const cocAtInfinity = aperture * focalLength / (focus - focalLength);
+    return cocAtInfinity / this.camera.getFilmHeight() * this.material.uniforms.resolution.value.y;
+  }
+  
   setBlurQuality(directions, quality) {
     this.directions = directions;
     this.quality = quality;
@@ -153,38 +215,14 @@ export class DepthDrivenBlurPass extends Pass {
   }
   
   render(renderer, writeBuffer, readBuffer) {
-    // Hide excluded layers for depth rendering
-    if (this.excludedLayers.size > 0) {
-      this.scene.traverse(object => {
-        if (object.layers) {
-          for (let layer of this.excludedLayers) {
-            if (object.layers.test({mask: 1 << layer})) {
-              this.originalVisibility.set(object, object.visible);
-              object.visible = false;
-              break;
-            }
-          }
-        }
-      });
-    }
-    
-    // 1. Render depth
-    renderer.setRenderTarget(this.depthRenderTarget);
-    const oldOverrideMaterial = this.scene.overrideMaterial;
-    this.scene.overrideMaterial = this.depthMaterial;
-    renderer.render(this.scene, this.camera);
-    this.scene.overrideMaterial = oldOverrideMaterial;
-    
-    // Restore visibility
-    if (this.originalVisibility.size > 0) {
-      this.originalVisibility.forEach((visible, object) => {
-        object.visible = visible;
-      });
-      this.originalVisibility.clear();
-    }
-    
-    // 2. Apply blur based on depth
-    this.material.uniforms.tDiffuse.value = readBuffer.texture;
+    const uniforms = this.material.uniforms;
+    this.fsQuad.material = uniforms.tDepth.value ? this.material : this.copyMaterial;
+    this.copyMaterial.uniforms.tDiffuse.value = readBuffer.texture;
+    uniforms.tDiffuse.value = readBuffer.texture;
+    uniforms.cameraNear.value = this.camera.near;
+    uniforms.cameraFar.value = this.camera.far;
+    uniforms.focusDistance.value = this.focusDistance;
+    uniforms.cocScale.value = this.getCoCScale();
     
     if (this.renderToScreen) {
       renderer.setRenderTarget(null);
@@ -197,14 +235,12 @@ export class DepthDrivenBlurPass extends Pass {
   }
   
   setSize(width, height) {
-    this.depthRenderTarget.setSize(width, height);
     this.material.uniforms.resolution.value.set(width, height);
   }
   
   dispose() {
-    this.depthRenderTarget.dispose();
-    this.depthMaterial.dispose();
     this.material.dispose();
+    this.copyMaterial.dispose();
     this.fsQuad.geometry.dispose();
   }
 }
\ No newline at end of file
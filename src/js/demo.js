@@ -14,6 +14,7 @@ import { createSkyPlane, updateCloudUniforms } from './sky-material.js';
 import { ChromaticAberrationPass } from './chromatic-aberration.js'; // Import our new effect
 import { DisplacementPass } from './displacement-pass.js';
 import { DisplacementScenePass } from './DisplacementScenePass.js';
+import { loadLyrics } from './lyrics-loader.js';
 
 // Global variables
 let camera, scene, renderer;
@@ -78,23 +79,8 @@ const config = {
   }
 };
 
-// Define when text should appear (in seconds)
-let textAppearTimes = [
-  { time: 0.593, text: "თვალებს" },
-  { time: 26.593, text: "თვალებს" },
-  { time: 27.593, text: "ადევს" },
-  { time: 28.593, text: "ნამი" },
-  { time: 29.777, text: "ზღვაა" },
-  { time: 30.777, text: "ძაან" },
-  { time: 31.777, text: "წყნარი" },
-  { time: 32.890, text: "ცაზე" },
-  { time: 33.890, text: "ფანტავს ელვებს" },
-  { time: 35, text: "დაუოკებელი" },
-  { time: 36.243, text: "ბრაზი" },
-  { time: 37.8, text: "ახალს" },
-  { time: 38.8, text: "არაფერს" },
-  { time: 39.8, text: "არ გეტყვი" },
-];
+// Define when text should appear (in seconds) - loaded from the lyrics file
+let textAppearTimes = [];
 
 // Constants
 const moveSpeed = 0.5;
@@ -106,7 +92,8 @@ const fogFar = 100;        // Fog is completely opaque at this distance
 let resourcesLoaded = {
   hdri: false,
   font: false,
-  displacement: false
+  displacement: false,
+  lyrics: false
 };
 
 // -------------------------------------------------------------
@@ -236,6 +223,15 @@ function loadResources() {
     }
   );
 
+  // Load lyric timings
+  loadLyrics('lyrics/xsna.lrc', manager, progress => GUI.updateLoadingProgress('lyrics', progress))
+    .then(cues => { textAppearTimes = cues; })
+    .catch(error => console.error('Error loading lyrics:', error))
+    .finally(() => {
+      resourcesLoaded.lyrics = true;
+      checkAllResourcesLoaded();
+    });
+
   // Let the AudioController handle audio loading
   AudioController.loadAudio('audio/xsna.mp3');
 }
@@ -243,7 +239,7 @@ function loadResources() {
 // Check if all resources are loaded
 function checkAllResourcesLoaded() {
   const allLoaded = resourcesLoaded.hdri && resourcesLoaded.font && 
-                    resourcesLoaded.displacement &&
+                    resourcesLoaded.displacement && resourcesLoaded.lyrics &&
                     AudioController.isAudioLoaded() && TreeManager.isLoaded();
   if (allLoaded) {
     console.log("All resources loaded, setting up scene");
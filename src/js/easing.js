@@ -0,0 +1,26 @@
+// easing.js - Shared easing curves for time-driven animation
+
+// All curves map normalized progress (0-1) to eased progress (0-1)
+export const Easing = {
+  linear: t => t,
+  step: t => (t < 1 ? 0 : 1),
+  smoothstep: t => t * t * (3 - 2 * t),
+  sineIn: t => 1 - Math.cos(t * Math.PI / 2),
+  sineOut: t => Math.sin(t * Math.PI / 2),
+  sineInOut: t => 0.5 - 0.5 * Math.cos(t * Math.PI),
+  quadIn: t => t * t,
+  quadOut: t => t * (2 - t),
+  quadInOut: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  cubicIn: t => t * t * t,
+  cubicOut: t => 1 - Math.pow(1 - t, 3),
+  cubicInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+// Look up an easing curve by name
+export function getEasing(name = 'linear') {
+  const easing = Easing[name];
+  if (!easing) {
+    throw new Error(`Unknown easing: ${name}`);
+  }
+  return easing;
+}
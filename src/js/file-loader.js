@@ -0,0 +1,37 @@
+// file-loader.js - Data files loaded through the shared loading manager and parsed into a Promise
+import * as THREE from 'three';
+
+/**
+ * Load a JSON file and resolve with parse(data). label names the file in
+ * errors: "Failed to load <label>: path" when the request fails, "Invalid
+ * <label> path: reason" when parse throws
+ */
+export function loadJSON(path, manager, parse, label) {
+  return loadFile(path, manager, 'json', parse, label);
+}
+
+// Load a text file; onProgress gets a percentage when the size is known
+export function loadText(path, manager, parse, label, onProgress) {
+  return loadFile(path, manager, 'text', parse, label, onProgress);
+}
+
+function loadFile(path, manager, responseType, parse, label, onProgress) {
+  return new Promise((resolve, reject) => {
+    const loader = new THREE.FileLoader(manager);
+    loader.setResponseType(responseType);
+    loader.load(
+      path,
+      data => {
+        try {
+          resolve(parse(data));
+        } catch (error) {
+          reject(new Error(`Invalid ${label} ${path}: ${error.message}`));
+        }
+      },
+      xhr => {
+        if (onProgress && xhr.total) onProgress(xhr.loaded / xhr.total * 100);
+      },
+      error => reject(new Error(`Failed to load ${label}: ${path}`))
+    );
+  });
+}
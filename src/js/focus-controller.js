@@ -0,0 +1,113 @@
+// focus-controller.js - Manual and autofocus distances with smoothed focus pulls
+import * as THREE from 'three';
+
+const MAX_STEP = 0.25; // Larger time jumps are seeks: focus snaps instead of pulling
+
+const _point = new THREE.Vector3();
+
+/**
+ * Decides where the lens focuses. Targets are named resolvers that return a
+ * world point (or null when there is nothing to focus on); without a target,
+ * or while the target has no point, the manual distance is used. Pulls are
+ * smoothed over pullTime seconds of audio time, so exports pull the same way.
+ * An override (e.g. from a timeline cue) replaces any of target, distance and
+ * pullTime while it is set, without touching the manual settings
+ */
+class FocusController {
+  constructor(camera, { distance = 20, target = null, pullTime = 0.5 } = {}) {
+    this.camera = camera;
+    this.manualDistance = distance;
+    this.pullTime = pullTime;
+    this.targets = new Map();
+    this.targetName = target;
+    this.heldDistance = null;
+    this.override = null;
+    this.distance = distance;
+    this.lastTime = null;
+  }
+
+  // resolver(camera, controller) returns a world position or null
+  addTarget(name, resolver) {
+    this.targets.set(name, resolver);
+    return this;
+  }
+
+  getTargetNames() {
+    return [...this.targets.keys()];
+  }
+
+  // A target name, or null for manual focus
+  setTarget(name) {
+    if (name !== null && !this.targets.has(name)) {
+      console.warn(`Unknown focus target: ${name}`);
+      return this;
+    }
+    const targetName = this.getTargetName();
+    this.targetName = name;
+    if (this.getTargetName() !== targetName) this.heldDistance = null;
+    return this;
+  }
+
+  // { target, distance, pullTime }, any of them, or null to go back to the manual settings
+  setOverride(override) {
+    const targetName = this.getTargetName();
+    this.override = override;
+    if (this.getTargetName() !== targetName) this.heldDistance = null;
+    return this;
+  }
+
+  // The target in effect, override included
+  getTargetName() {
+    return this.override?.target !== undefined ? this.override.target : this.targetName;
+  }
+
+  setDistance(distance) {
+    this.manualDistance = distance;
+    return this;
+  }
+
+  setPullTime(seconds) {
+    this.pullTime = Math.max(0, seconds);
+    return this;
+  }
+
+  // Distance along the view axis, which is what the lens focuses on
+  viewDistance(point) {
+    return -_point.copy(point).applyMatrix4(this.camera.matrixWorldInverse).z;
+  }
+
+  /**
+   * Resolve the target at this audio time and pull towards it. Returns the focus distance
+   */
+  update(time) {
+    const step = this.lastTime === null ? Infinity : time - this.lastTime;
+    const snap = !(step >= 0 && step <= MAX_STEP);
+    this.lastTime = time;
+
+    this.camera.updateMatrixWorld();
+    const goal = this.resolve();
+    const pullTime = this.override?.pullTime ?? this.pullTime;
+
+    if (snap || pullTime <= 0) {
+      this.distance = goal;
+    } else {
+      this.distance += (goal - this.distance) * (1 - Math.exp(-step / pullTime));
+    }
+    return this.distance;
+  }
+
+  // While the target has no point in front of the camera, hold its last distance
+  resolve() {
+    const targetName = this.getTargetName();
+    const manualDistance = this.override?.distance ?? this.manualDistance;
+    const resolver = targetName !== null ? this.targets.get(targetName) : null;
+    if (!resolver) return manualDistance;
+
+    const point = resolver(this.camera, this);
+    const distance = point ? this.viewDistance(point) : NaN;
+    if (distance > this.camera.near) this.heldDistance = distance;
+    return this.heldDistance ?? manualDistance;
+  }
+}
+
+export { FocusController };
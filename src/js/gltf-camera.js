@@ -0,0 +1,134 @@
+// gltf-camera.js - Drive the scene camera from a camera (and its animation) baked into a glTF
+import * as THREE from 'three';
+
+// Find a camera by node or camera name and bind it with its animation clip
+export async function createGLTFCameraBinding(gltf, { name, clip: clipName = null } = {}) {
+  const cameraNode = gltf.cameras.find(camera => camera.name === name || camera.parent?.name === name);
+  if (!cameraNode) {
+    throw new Error(`glTF camera "${name}" not found`);
+  }
+
+  // Use the named clip, or the first clip that animates the camera
+  const clip = clipName
+    ? gltf.animations.find(animation => animation.name === clipName)
+    : gltf.animations.find(animation => getCameraTracks(animation, cameraNode).length > 0);
+  if (clipName && !clip) {
+    throw new Error(`glTF camera clip "${clipName}" not found`);
+  }
+
+  if (clip) await addFovTracks(gltf, cameraNode, clip);
+
+  return new GLTFCameraBinding(gltf.scene, cameraNode, clip || null);
+}
+
+// Tracks that target the camera node or one of its ancestors
+function getCameraTracks(clip, cameraNode) {
+  const names = new Set();
+  cameraNode.traverseAncestors(ancestor => names.add(ancestor.name));
+  names.add(cameraNode.name);
+
+  return clip.tracks.filter(track => names.has(THREE.PropertyBinding.parseTrackName(track.name).nodeName));
+}
+
+// GLTFLoader does not animate yfov, so read KHR_animation_pointer channels
+// targeting this camera and add them to the clip as "<camera>.fov" tracks
+async function addFovTracks(gltf, cameraNode, clip) {
+  const { parser } = gltf;
+  const nodeIndex = parser.associations.get(cameraNode)?.nodes;
+  const cameraIndex = parser.json.nodes[nodeIndex]?.camera;
+  if (cameraIndex === undefined) return;
+
+  const pointer = `/cameras/${cameraIndex}/perspective/yfov`;
+  const animationDef = (parser.json.animations || []).find(def => def.name === clip.name);
+  if (!animationDef) return;
+
+  for (const channel of animationDef.channels) {
+    if (channel.target.extensions?.KHR_animation_pointer?.pointer !== pointer) continue;
+
+    const sampler = animationDef.samplers[channel.sampler];
+    const [input, output] = await Promise.all([
+      parser.getDependency('accessor', sampler.input),
+      parser.getDependency('accessor', sampler.output)
+    ]);
+
+    const values = Array.from(output.array, THREE.MathUtils.radToDeg);
+    const interpolation = sampler.interpolation === 'STEP' ? THREE.InterpolateDiscrete : THREE.InterpolateLinear;
+    clip.tracks.push(new THREE.NumberKeyframeTrack(`${cameraNode.name}.fov`, Array.from(input.array), values, interpolation));
+    clip.resetDuration();
+  }
+}
+
+/**
+ * Samples a glTF camera's clip at an absolute time and copies its world
+ * pose and FOV onto another camera
+ */
+class GLTFCameraBinding {
+  constructor(root, cameraNode, sourceClip) {
+    this.root = root;
+    this.cameraNode = cameraNode;
+    this.sourceClip = sourceClip;
+    this.mixer = null;
+    this.action = null;
+    // FOV the target camera had before this binding took it over, restored by release()
+    this.savedFov = null;
+
+    if (sourceClip) {
+      // Only the camera's tracks, so sampling never touches other animated nodes
+      const clip = new THREE.AnimationClip(`${sourceClip.name}_camera`, sourceClip.duration, getCameraTracks(sourceClip, cameraNode));
+      this.mixer = new THREE.AnimationMixer(root);
+      this.action = this.mixer.clipAction(clip);
+      this.action.setLoop(THREE.LoopOnce);
+      this.action.clampWhenFinished = true;
+      this.action.play();
+    }
+  }
+
+  get duration() {
+    return this.action ? this.action.getClip().duration : 0;
+  }
+
+  /**
+   * Pose the glTF camera at a clip time (clamped to the clip)
+   */
+  sample(time) {
+    if (this.action) {
+      this.action.paused = false;
+      this.action.time = THREE.MathUtils.clamp(time, 0, this.duration);
+      this.mixer.update(0);
+    }
+    this.cameraNode.updateWorldMatrix(true, false);
+  }
+
+  /**
+   * Copy the sampled world pose and FOV onto the target camera
+   */
+  apply(camera, time) {
+    if (this.savedFov === null) this.savedFov = camera.fov;
+    this.sample(time);
+    this.cameraNode.matrixWorld.decompose(camera.position, camera.quaternion, new THREE.Vector3());
+
+    if (this.cameraNode.isPerspectiveCamera && camera.fov !== this.cameraNode.fov) {
+      camera.fov = this.cameraNode.fov;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Hand the camera back: restore the FOV it had before apply() took over
+   */
+  release(camera) {
+    if (this.savedFov === null) return;
+    if (camera.fov !== this.savedFov) {
+      camera.fov = this.savedFov;
+      camera.updateProjectionMatrix();
+    }
+    this.savedFov = null;
+  }
+
+  dispose() {
+    this.mixer?.stopAllAction();
+    if (this.action) this.mixer.uncacheClip(this.action.getClip());
+  }
+}
+
+export { GLTFCameraBinding };
@@ -2,6 +2,14 @@
 
 export let scrubber, scrubberTimeDisplay, durationDisplay, infoDiv;
 export let loadingScreen, loadingProgress, loadingText, loadingDetails;
+export let coverImage, trackInfo;
+let coverUrl = null;
+let exportStatus = null;
+let scrubberTrack, loopBand, waveformCanvas, markerLayer, markerTooltip;
+let waveformPeaks = null;
+let scrubberMarkers = [];
+const THUMB_INSET = 7; // Half the thumb width: the value range spans the track minus this at each end
+const MARKER_COLORS = { lyric: 'rgba(255, 255, 255, 0.7)', transition: '#f5a623', camera: '#4aa3ff' };
 
 // Setup minimal UI with just scrubber
 export function setupUI() {
@@ -39,7 +47,8 @@ export function setupUI() {
   scrubber.max = '100';
   scrubber.value = '0';
   scrubber.step = '0.01';
-  scrubber.style.flex = '1';
+  scrubber.style.width = '100%';
+  scrubber.style.margin = '0';
   scrubber.style.height = '20px';
   scrubber.style.cursor = 'pointer';
   scrubber.disabled = true;
@@ -88,7 +97,60 @@ export function setupUI() {
   `;
   document.head.appendChild(scrubberStyle);
   
-  scrubberContainer.appendChild(scrubber);
+  // Scrubber sits on a track that also holds the loop region band
+  scrubberTrack = document.createElement('div');
+  scrubberTrack.style.position = 'relative';
+  scrubberTrack.style.flex = '1';
+  scrubberTrack.style.display = 'flex';
+  scrubberTrack.style.alignItems = 'center';
+  scrubberTrack.style.height = '32px';
+  
+  waveformCanvas = document.createElement('canvas');
+  waveformCanvas.style.position = 'absolute';
+  waveformCanvas.style.left = '0';
+  waveformCanvas.style.top = '0';
+  waveformCanvas.style.width = '100%';
+  waveformCanvas.style.height = '100%';
+  waveformCanvas.style.pointerEvents = 'none';
+  
+  markerLayer = document.createElement('div');
+  markerLayer.style.position = 'absolute';
+  markerLayer.style.inset = '0';
+  markerLayer.style.pointerEvents = 'none';
+  
+  loopBand = document.createElement('div');
+  loopBand.style.position = 'absolute';
+  loopBand.style.top = '2px';
+  loopBand.style.bottom = '2px';
+  loopBand.style.background = 'rgba(255, 255, 255, 0.2)';
+  loopBand.style.borderLeft = '1px solid rgba(255, 255, 255, 0.6)';
+  loopBand.style.borderRight = '1px solid rgba(255, 255, 255, 0.6)';
+  loopBand.style.pointerEvents = 'none';
+  loopBand.style.display = 'none';
+  
+  scrubberTrack.appendChild(waveformCanvas);
+  scrubberTrack.appendChild(loopBand);
+  scrubberTrack.appendChild(markerLayer);
+  scrubberTrack.appendChild(scrubber);
+  scrubberContainer.appendChild(scrubberTrack);
+  
+  markerTooltip = document.createElement('div');
+  markerTooltip.style.position = 'fixed';
+  markerTooltip.style.padding = '4px 8px';
+  markerTooltip.style.background = 'rgba(0, 0, 0, 0.8)';
+  markerTooltip.style.color = '#fff';
+  markerTooltip.style.fontFamily = 'monospace';
+  markerTooltip.style.fontSize = '12px';
+  markerTooltip.style.whiteSpace = 'nowrap';
+  markerTooltip.style.pointerEvents = 'none';
+  markerTooltip.style.transform = 'translate(-50%, -100%)';
+  markerTooltip.style.display = 'none';
+  markerTooltip.style.zIndex = '11';
+  document.body.appendChild(markerTooltip);
+  
+  scrubber.addEventListener('mousemove', e => showMarkerTooltip(e.clientX));
+  scrubber.addEventListener('mouseleave', () => { markerTooltip.style.display = 'none'; });
+  new ResizeObserver(() => drawWaveform()).observe(scrubberTrack);
 
   // Create duration display
   durationDisplay = document.createElement('div');
@@ -143,6 +205,22 @@ function createLoadingScreen() {
   const loadingContainer = document.createElement('div');
   loadingContainer.style.textAlign = 'center';
   
+  // Cover art and title from the track's tags (hidden until known)
+  coverImage = document.createElement('img');
+  coverImage.style.display = 'none';
+  coverImage.style.width = '160px';
+  coverImage.style.height = '160px';
+  coverImage.style.objectFit = 'cover';
+  coverImage.style.margin = '0 auto 20px';
+  loadingContainer.appendChild(coverImage);
+  
+  trackInfo = document.createElement('div');
+  trackInfo.style.display = 'none';
+  trackInfo.style.color = '#fff';
+  trackInfo.style.fontSize = '16px';
+  trackInfo.style.marginBottom = '20px';
+  loadingContainer.appendChild(trackInfo);
+  
   loadingText = document.createElement('div');
   loadingText.textContent = 'Loading...';
   loadingText.style.color = '#fff';
@@ -209,6 +287,46 @@ export function showLoadingError(message) {
   if (loadingDetails) loadingDetails.textContent = message;
 }
 
+// Show track title, artist and cover art on the loading screen
+export function showTrackInfo({ title, artist, picture } = {}) {
+  if (trackInfo) {
+    const text = [artist, title].filter(Boolean).join(' — ');
+    trackInfo.textContent = text;
+    trackInfo.style.display = text ? 'block' : 'none';
+  }
+  
+  if (coverImage) {
+    if (coverUrl) URL.revokeObjectURL(coverUrl);
+    coverUrl = picture ? URL.createObjectURL(new Blob([picture.data], { type: picture.mimeType })) : null;
+    coverImage.src = coverUrl || '';
+    coverImage.style.display = coverUrl ? 'block' : 'none';
+  }
+}
+
+// Show offline export progress (0-100) in a small overlay
+export function updateExportProgress(progress, label = 'Exporting') {
+  if (!exportStatus) {
+    exportStatus = document.createElement('div');
+    exportStatus.style.position = 'fixed';
+    exportStatus.style.top = '20px';
+    exportStatus.style.right = '20px';
+    exportStatus.style.padding = '8px 12px';
+    exportStatus.style.background = 'rgba(0, 0, 0, 0.7)';
+    exportStatus.style.color = '#fff';
+    exportStatus.style.fontFamily = 'monospace';
+    exportStatus.style.fontSize = '14px';
+    exportStatus.style.zIndex = '20';
+    exportStatus.style.pointerEvents = 'none';
+    document.body.appendChild(exportStatus);
+  }
+  exportStatus.style.display = 'block';
+  exportStatus.textContent = `${label} ${Math.floor(progress)}%`;
+}
+
+export function hideExportProgress() {
+  if (exportStatus) exportStatus.style.display = 'none';
+}
+
 // Setup scrubber callbacks
 export function setupScrubber(inputCallback, changeCallback) {
   if (scrubber) {
@@ -217,6 +335,173 @@ export function setupScrubber(inputCallback, changeCallback) {
   }
 }
 
+// Shift+drag on the scrubber selects a loop region: callback(start, end) in seconds
+export function setupLoopSelection(callback) {
+  if (!scrubber) return;
+  
+  const timeAt = clientX => fractionAt(clientX) * parseFloat(scrubber.max);
+  let dragStart = null;
+  
+  // A selection drag must not seek, so swallow the range input's own events meanwhile
+  const swallow = e => {
+    if (dragStart !== null || e.shiftKey) {
+      if (e.type === 'mousedown') e.preventDefault();
+      else e.stopImmediatePropagation();
+    }
+  };
+  scrubber.addEventListener('mousedown', swallow);
+  scrubber.addEventListener('input', swallow, true);
+  scrubber.addEventListener('change', swallow, true);
+  
+  scrubber.addEventListener('pointerdown', e => {
+    if (!e.shiftKey || scrubber.disabled) return;
+    // Keep the thumb where it is while selecting
+    e.preventDefault();
+    scrubber.setPointerCapture(e.pointerId);
+    dragStart = timeAt(e.clientX);
+    setLoopRegion({ start: dragStart, end: dragStart });
+  });
+  
+  scrubber.addEventListener('pointermove', e => {
+    if (dragStart === null || !scrubber.hasPointerCapture(e.pointerId)) return;
+    const time = timeAt(e.clientX);
+    setLoopRegion({ start: Math.min(dragStart, time), end: Math.max(dragStart, time) });
+  });
+  
+  const finish = e => {
+    if (dragStart === null || !scrubber.hasPointerCapture(e.pointerId)) return;
+    scrubber.releasePointerCapture(e.pointerId);
+    const time = timeAt(e.clientX);
+    callback(Math.min(dragStart, time), Math.max(dragStart, time));
+    // The range input's change event follows pointerup, so stay in selection mode until it's gone
+    const start = dragStart;
+    setTimeout(() => { if (dragStart === start) dragStart = null; }, 0);
+  };
+  scrubber.addEventListener('pointerup', finish);
+  scrubber.addEventListener('pointercancel', finish);
+}
+
+// Highlight the loop region ({ start, end } in seconds) on the scrubber, or hide it with null
+export function setLoopRegion(region) {
+  if (!loopBand || !scrubber) return;
+  const duration = parseFloat(scrubber.max);
+  if (!region || !(duration > 0)) {
+    loopBand.style.display = 'none';
+    return;
+  }
+  loopBand.style.display = 'block';
+  loopBand.style.left = trackPosition(region.start / duration);
+  loopBand.style.width = trackLength((region.end - region.start) / duration);
+}
+
+// Draw a waveform overview (min/max pairs per column) behind the scrubber, or clear it with null
+export function setWaveform(peaks) {
+  waveformPeaks = peaks;
+  drawWaveform();
+}
+
+function drawWaveform() {
+  if (!waveformCanvas) return;
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(waveformCanvas.clientWidth * ratio);
+  const height = Math.round(waveformCanvas.clientHeight * ratio);
+  if (!width || !height) return;
+  
+  waveformCanvas.width = width;
+  waveformCanvas.height = height;
+  const context = waveformCanvas.getContext('2d');
+  context.clearRect(0, 0, width, height);
+  if (!waveformPeaks) return;
+  
+  const inset = THUMB_INSET * ratio;
+  const span = width - inset * 2;
+  const columns = waveformPeaks.length / 2;
+  const middle = height / 2;
+  context.fillStyle = 'rgba(255, 255, 255, 0.25)';
+  for (let x = 0; x < span; x++) {
+    const column = Math.min(columns - 1, Math.floor(x / span * columns));
+    const min = waveformPeaks[column * 2];
+    const max = waveformPeaks[column * 2 + 1];
+    const top = middle - max * middle;
+    context.fillRect(inset + x, top, 1, Math.max(1, (max - min) * middle));
+  }
+}
+
+// Place markers ({ time, duration, label, kind }) on the scrubber. kind is
+// 'lyric', 'transition' or 'camera'; markers with a duration draw as windows
+export function setMarkers(markers) {
+  if (!markerLayer || !scrubber) return;
+  const duration = parseFloat(scrubber.max);
+  scrubberMarkers = duration > 0 ? markers.filter(marker => marker.time <= duration) : [];
+  markerLayer.innerHTML = '';
+  
+  for (const marker of scrubberMarkers) {
+    const element = document.createElement('div');
+    const color = MARKER_COLORS[marker.kind] || '#fff';
+    element.style.position = 'absolute';
+    element.style.left = trackPosition(marker.time / duration);
+    element.style.background = color;
+    if (marker.duration > 0) {
+      // Windows sit along the bottom edge
+      element.style.bottom = '0';
+      element.style.height = '3px';
+      element.style.width = trackLength(Math.min(marker.duration, duration - marker.time) / duration);
+      element.style.opacity = '0.8';
+    } else {
+      // Points are ticks from the top edge
+      element.style.top = '0';
+      element.style.height = '6px';
+      element.style.width = '1px';
+    }
+    markerLayer.appendChild(element);
+  }
+}
+
+// Tooltip for the marker under the pointer: points within a few pixels, or a window containing it
+function showMarkerTooltip(clientX) {
+  const duration = parseFloat(scrubber.max);
+  if (!scrubberMarkers.length || !(duration > 0)) return;
+  
+  const rect = scrubber.getBoundingClientRect();
+  const secondsPerPixel = duration / Math.max(1, rect.width - THUMB_INSET * 2);
+  const time = fractionAt(clientX) * duration;
+  const tolerance = 4 * secondsPerPixel;
+  
+  let best = null, bestDistance = Infinity;
+  for (const marker of scrubberMarkers) {
+    const end = marker.time + (marker.duration || 0);
+    const distance = time < marker.time ? marker.time - time : Math.max(0, time - end);
+    if (distance <= tolerance && distance < bestDistance) {
+      best = marker;
+      bestDistance = distance;
+    }
+  }
+  
+  if (!best) {
+    markerTooltip.style.display = 'none';
+    return;
+  }
+  markerTooltip.textContent = `${formatTime(best.time)}  ${best.label}`;
+  markerTooltip.style.left = `${clientX}px`;
+  markerTooltip.style.top = `${rect.top - 6}px`;
+  markerTooltip.style.display = 'block';
+}
+
+// Scrubber value fraction (0-1) under a client x coordinate
+function fractionAt(clientX) {
+  const rect = scrubber.getBoundingClientRect();
+  return Math.min(1, Math.max(0, (clientX - rect.left - THUMB_INSET) / (rect.width - THUMB_INSET * 2)));
+}
+
+// CSS offset and length of a fraction of the value range along the track
+function trackPosition(fraction) {
+  return `calc(${THUMB_INSET}px + (100% - ${THUMB_INSET * 2}px) * ${fraction})`;
+}
+
+function trackLength(fraction) {
+  return `calc((100% - ${THUMB_INSET * 2}px) * ${fraction})`;
+}
+
 // Format time
 export function formatTime(timeInSeconds) {
   const minutes = Math.floor(timeInSeconds / 60);
@@ -0,0 +1,222 @@
+// id3-parser.js - Read ID3v2 tags (text, lyrics, cover art) from an MP3 ArrayBuffer
+
+// Frame IDs per major version: v2.2 uses three-character IDs
+const FRAME_IDS = {
+  2: { title: 'TT2', artist: 'TP1', album: 'TAL', lyrics: 'ULT', syncedLyrics: 'SLT', picture: 'PIC' },
+  3: { title: 'TIT2', artist: 'TPE1', album: 'TALB', lyrics: 'USLT', syncedLyrics: 'SYLT', picture: 'APIC' },
+  4: { title: 'TIT2', artist: 'TPE1', album: 'TALB', lyrics: 'USLT', syncedLyrics: 'SYLT', picture: 'APIC' }
+};
+
+const PICTURE_FORMATS = { JPG: 'image/jpeg', PNG: 'image/png', GIF: 'image/gif', BMP: 'image/bmp' };
+
+// Parse the ID3v2 tag at the start of the buffer, or return null if there is none
+export function parseID3(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  if (bytes.length < 10 || readLatin1(bytes, 0, 3) !== 'ID3') return null;
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  const tagSize = readSyncsafe(bytes, 6);
+  const hasFooter = version === 4 && (flags & 0x10);
+  const size = 10 + tagSize + (hasFooter ? 10 : 0);
+
+  const metadata = {
+    version: `2.${version}.${bytes[4]}`,
+    size,
+    title: null,
+    artist: null,
+    album: null,
+    lyrics: null,
+    syncedLyrics: [],
+    picture: null
+  };
+
+  const ids = FRAME_IDS[version];
+  if (!ids || (version === 2 && (flags & 0x40))) {
+    console.warn(`Unsupported ID3 tag version ${metadata.version}`);
+    return metadata;
+  }
+
+  let body = bytes.subarray(10, Math.min(bytes.length, 10 + tagSize));
+  if (version < 4 && (flags & 0x80)) body = removeUnsynchronisation(body);
+
+  let offset = 0;
+  if (version > 2 && (flags & 0x40)) {
+    // Extended header: v2.3 size excludes itself, v2.4 size is syncsafe and includes itself
+    offset = version === 3 ? readUint32(body, 0) + 4 : readSyncsafe(body, 0);
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (offset + headerLength <= body.length) {
+    const id = readLatin1(body, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    const frameSize = version === 2 ? readUint24(body, offset + 3)
+      : version === 3 ? readUint32(body, offset + 4)
+      : readSyncsafe(body, offset + 4);
+    const formatFlags = version === 2 ? 0 : body[offset + 9];
+    let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+
+    // Compressed or encrypted frames are skipped
+    if ((version === 3 && (formatFlags & 0xC0)) || (version === 4 && (formatFlags & 0x0C))) continue;
+    if (version === 4) {
+      if (formatFlags & 0x02) frame = removeUnsynchronisation(frame);
+      if (formatFlags & 0x01) frame = frame.subarray(4); // Data length indicator
+    }
+    if (frame.length === 0) continue;
+
+    switch (id) {
+      case ids.title: metadata.title = readTextFrame(frame); break;
+      case ids.artist: metadata.artist = readTextFrame(frame); break;
+      case ids.album: metadata.album = readTextFrame(frame); break;
+      case ids.lyrics: metadata.lyrics = readLyricsFrame(frame); break;
+      case ids.syncedLyrics:
+        metadata.syncedLyrics = readSyncedLyricsFrame(frame, () => getMpegFrameDuration(bytes, size));
+        break;
+      case ids.picture:
+        if (!metadata.picture) metadata.picture = readPictureFrame(frame, version);
+        break;
+    }
+  }
+
+  return metadata;
+}
+
+// Text frames: encoding byte followed by the (possibly null separated) value
+function readTextFrame(frame) {
+  return readString(frame.subarray(1), frame[0]).split('\0')[0].trim() || null;
+}
+
+// USLT/ULT: encoding, language, content descriptor, lyrics text
+function readLyricsFrame(frame) {
+  const encoding = frame[0];
+  const { next } = readTerminated(frame, 4, encoding);
+  return readString(frame.subarray(next), encoding).replace(/\0+$/, '') || null;
+}
+
+// SYLT/SLT: encoding, language, timestamp format, content type, descriptor,
+// then repeated [text, terminator, 32-bit timestamp]
+function readSyncedLyricsFrame(frame, getFrameDuration) {
+  const encoding = frame[0];
+  const timestampFormat = frame[4];
+  let { next: offset } = readTerminated(frame, 6, encoding);
+
+  // Timestamp format 1 counts MPEG frames, 2 counts milliseconds
+  let scale = 0.001;
+  if (timestampFormat === 1) {
+    scale = getFrameDuration();
+    if (!scale) {
+      console.warn('SYLT uses MPEG frame timestamps but no frame header was found');
+      return [];
+    }
+  }
+
+  const cues = [];
+  while (offset < frame.length) {
+    const { text, next } = readTerminated(frame, offset, encoding);
+    if (next + 4 > frame.length) break;
+    const time = readUint32(frame, next) * scale;
+    offset = next + 4;
+
+    const cueText = text.trim();
+    if (cueText) cues.push({ time, text: cueText });
+  }
+  return cues.sort((a, b) => a.time - b.time);
+}
+
+// APIC: encoding, MIME type, picture type, description, data
+// PIC (v2.2): encoding, three-character image format, picture type, description, data
+function readPictureFrame(frame, version) {
+  const encoding = frame[0];
+  let mimeType, offset;
+
+  if (version === 2) {
+    const format = readLatin1(frame, 1, 3).toUpperCase();
+    mimeType = PICTURE_FORMATS[format] || `image/${format.toLowerCase()}`;
+    offset = 4;
+  } else {
+    const mime = readTerminated(frame, 1, 0);
+    mimeType = mime.text || 'image/jpeg';
+    if (!mimeType.includes('/')) mimeType = `image/${mimeType.toLowerCase()}`;
+    offset = mime.next;
+  }
+
+  const type = frame[offset];
+  const description = readTerminated(frame, offset + 1, encoding);
+  return {
+    mimeType,
+    type,
+    description: description.text,
+    data: frame.slice(description.next)
+  };
+}
+
+// Read a string up to its terminator (one null byte, or two for UTF-16)
+function readTerminated(bytes, offset, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  let end = offset;
+
+  if (wide) {
+    while (end + 1 < bytes.length && (bytes[end] !== 0 || bytes[end + 1] !== 0)) end += 2;
+  } else {
+    while (end < bytes.length && bytes[end] !== 0) end++;
+  }
+
+  return {
+    text: readString(bytes.subarray(offset, end), encoding),
+    next: Math.min(bytes.length, end + (wide ? 2 : 1))
+  };
+}
+
+// Decode using the ID3 text encoding byte
+function readString(bytes, encoding) {
+  switch (encoding) {
+    case 1: {
+      // UTF-16 with byte order mark
+      if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+      if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+      return new TextDecoder('utf-16le').decode(bytes);
+    }
+    case 2: return new TextDecoder('utf-16be').decode(bytes);
+    case 3: return new TextDecoder('utf-8').decode(bytes);
+    default: return new TextDecoder('iso-8859-1').decode(bytes);
+  }
+}
+
+// Seconds per MPEG audio frame, from the first frame header after the tag
+function getMpegFrameDuration(bytes, offset) {
+  const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+  for (let i = offset; i + 4 <= bytes.length && i < offset + 4096; i++) {
+    if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+
+    const versionBits = (bytes[i + 1] >> 3) & 0x03;
+    const layerBits = (bytes[i + 1] >> 1) & 0x03;
+    const sampleRate = SAMPLE_RATES[versionBits]?.[(bytes[i + 2] >> 2) & 0x03];
+    if (!sampleRate || layerBits === 0) continue;
+
+    // Layer I: 384 samples, Layer II: 1152, Layer III: 1152 (MPEG-1) or 576 (MPEG-2/2.5)
+    const samples = layerBits === 3 ? 384 : layerBits === 2 ? 1152 : (versionBits === 3 ? 1152 : 576);
+    return samples / sampleRate;
+  }
+  return 0;
+}
+
+// Drop the 0x00 inserted after every 0xFF byte by the unsynchronisation scheme
+function removeUnsynchronisation(bytes) {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+  }
+  return output.subarray(0, length);
+}
+
+const readLatin1 = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+const readSyncsafe = (bytes, offset) => (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+const readUint24 = (bytes, offset) => (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+const readUint32 = (bytes, offset) => ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
@@ -64,6 +64,7 @@ function getResourceType(url) {
   if (url.includes('.json') && url.includes('font')) return 'font';
   if (url.includes('.glb') || url.includes('.gltf')) return 'model';
   if (url.includes('.mp3') || url.includes('.wav')) return 'audio';
+  if (url.includes('.lrc') || url.includes('.srt') || url.includes('.vtt')) return 'lyrics';
   if (url.includes('tree')) return 'vegetation';
   return 'other';
 }
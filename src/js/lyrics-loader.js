@@ -0,0 +1,164 @@
+// lyrics-loader.js - Parse LRC, SRT and WebVTT lyrics into TextManager cues
+import { loadText } from './file-loader.js';
+
+const FORMATS = ['lrc', 'srt', 'vtt'];
+
+// Load a lyrics file
+export function loadLyrics(path, manager, onProgress, format = getFormatFromPath(path)) {
+  return loadText(path, manager, text => parseLyrics(text, format), 'lyrics', onProgress);
+}
+
+// Parse lyrics text into [{ time, text }] sorted by time
+export function parseLyrics(text, format) {
+  switch (format) {
+    case 'lrc': return parseLRC(text);
+    case 'srt': return parseSRT(text);
+    case 'vtt': return parseVTT(text);
+    default: throw new Error(`Unsupported lyrics format: ${format}`);
+  }
+}
+
+export function getFormatFromPath(path) {
+  const extension = path.split('?')[0].split('.').pop().toLowerCase();
+  return FORMATS.includes(extension) ? extension : null;
+}
+
+// LRC - [mm:ss.xx]line, with optional enhanced <mm:ss.xx>word tags
+export function parseLRC(text) {
+  const cues = [];
+  let offset = 0;
+
+  splitLines(text).forEach((line, index) => {
+    const lineNumber = index + 1;
+    let rest = line.trim();
+    if (!rest) return;
+
+    // Metadata tags like [ar:Artist] or [offset:+250]
+    const meta = rest.match(/^\[([a-z#]+):(.*)\]$/i);
+    if (meta) {
+      if (meta[1].toLowerCase() === 'offset') {
+        const value = Number(meta[2].trim());
+        if (!Number.isFinite(value)) throw parseError('LRC', lineNumber, `invalid offset "${meta[2]}"`);
+        offset = value / 1000;
+      }
+      return;
+    }
+
+    // One or more leading line timestamps
+    const lineTimes = [];
+    let tag;
+    while ((tag = rest.match(/^\[([^\]]*)\]/))) {
+      lineTimes.push(parseClock(tag[1], 'LRC', lineNumber));
+      rest = rest.slice(tag[0].length);
+    }
+    if (lineTimes.length === 0) {
+      throw parseError('LRC', lineNumber, 'expected a [mm:ss.xx] timestamp');
+    }
+
+    for (const lineTime of lineTimes) {
+      cues.push(...splitTimedWords(rest, lineTime, 'LRC', lineNumber));
+    }
+  });
+
+  // Positive offsets make lyrics appear earlier
+  return sortCues(cues.map(cue => ({ ...cue, time: Math.max(0, cue.time - offset) })));
+}
+
+// SRT - numbered blocks with "hh:mm:ss,mmm --> hh:mm:ss,mmm" timings
+export function parseSRT(text) {
+  const cues = [];
+
+  forEachBlock(splitLines(text), (block, firstLine) => {
+    const timingIndex = block.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      throw parseError('SRT', firstLine, 'expected a "-->" timing line');
+    }
+
+    const lineNumber = firstLine + timingIndex;
+    const [start] = block[timingIndex].split('-->');
+    const time = parseClock(start.trim().replace(',', '.'), 'SRT', lineNumber);
+    const cueText = stripMarkup(block.slice(timingIndex + 1).join(' '));
+    if (cueText) cues.push({ time, text: cueText });
+  });
+
+  return sortCues(cues);
+}
+
+// WebVTT - WEBVTT header, cue blocks with optional <hh:mm:ss.mmm> karaoke tags
+export function parseVTT(text) {
+  const lines = splitLines(text);
+  if (!/^\uFEFF?WEBVTT(\s|$)/.test(lines[0] || '')) {
+    throw parseError('WebVTT', 1, 'missing WEBVTT header');
+  }
+
+  const cues = [];
+  forEachBlock(lines.slice(1), (block, firstLine) => {
+    // Header continuation, comments and style/region definitions carry no cues
+    if (/^(NOTE|STYLE|REGION)(\s|$)/.test(block[0])) return;
+
+    const timingIndex = block.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      if (firstLine === 2) return;
+      throw parseError('WebVTT', firstLine, 'expected a "-->" timing line');
+    }
+
+    const lineNumber = firstLine + timingIndex;
+    const [start] = block[timingIndex].split('-->');
+    const time = parseClock(start.trim(), 'WebVTT', lineNumber);
+    const body = block.slice(timingIndex + 1).join(' ').replace(/<(?!\d)[^>]*>/g, '');
+    cues.push(...splitTimedWords(body, time, 'WebVTT', lineNumber));
+  }, 2);
+
+  return sortCues(cues);
+}
+
+// Split "text <t1>word <t2>word" into one cue per timed segment
+function splitTimedWords(text, lineTime, format, lineNumber) {
+  const cues = [];
+  const parts = text.split(/<([^>]*)>/);
+
+  // Text before the first word tag belongs to the line timestamp
+  const lead = stripMarkup(parts[0]);
+  if (lead) cues.push({ time: lineTime, text: lead });
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const time = parseClock(parts[i], format, lineNumber);
+    const word = stripMarkup(parts[i + 1] || '');
+    if (word) cues.push({ time, text: word });
+  }
+  return cues;
+}
+
+// Parse [hh:]mm:ss[.fff] into seconds
+function parseClock(value, format, lineNumber) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/);
+  if (!match) {
+    throw parseError(format, lineNumber, `invalid timestamp "${value}"`);
+  }
+
+  const [, hours = 0, minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) +
+    Number(fraction) / Math.pow(10, fraction.length);
+}
+
+// Call fn(blockLines, firstLineNumber) for each blank-line separated block
+function forEachBlock(lines, fn, lineOffset = 1) {
+  let block = [];
+  let firstLine = lineOffset;
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      if (block.length) fn(block, firstLine);
+      block = [];
+      return;
+    }
+    if (!block.length) firstLine = index + lineOffset;
+    block.push(line.trim());
+  });
+  if (block.length) fn(block, firstLine);
+}
+
+const splitLines = text => text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+const stripMarkup = text => text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+const sortCues = cues => cues.sort((a, b) => a.time - b.time);
+const parseError = (format, lineNumber, message) => new Error(`${format} parse error on line ${lineNumber}: ${message}`);
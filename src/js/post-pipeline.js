@@ -0,0 +1,153 @@
+// post-pipeline.js - EffectComposer chain built from an ordered, JSON configured list of passes
+import * as THREE from 'three';
+import { loadJSON } from './file-loader.js';
+
+// Load a pipeline file
+export function loadPostPipeline(path, manager) {
+  return loadJSON(path, manager, parsePostPipeline, 'post-processing pipeline');
+}
+
+// Normalize a pipeline file ({ passes: [...] } or a bare array) into validated descriptors
+export function parsePostPipeline(data) {
+  const passes = Array.isArray(data) ? data : data?.passes;
+  if (!Array.isArray(passes)) {
+    throw new Error('Pipeline must contain a "passes" array');
+  }
+
+  const ids = new Set();
+  return passes.map((pass, index) => {
+    if (typeof pass?.type !== 'string' || !pass.type) throw new Error(`Pass #${index} is missing a type`);
+    const descriptor = normalizeDescriptor(pass);
+    if (ids.has(descriptor.id)) throw new Error(`Duplicate pass id "${descriptor.id}"`);
+    ids.add(descriptor.id);
+    return descriptor;
+  });
+}
+
+/**
+ * Owns the composer's pass list. Passes are created from descriptors
+ * { id, type, params, enabled } by the factory registered for their type, and
+ * the composer is rebuilt from the enabled ones, in order, after every change.
+ * Disabled passes keep their instance so toggling them back is instant; every
+ * pass follows the three.js Pass contract of setSize(width, height) and dispose()
+ */
+class PostPipeline {
+  constructor(composer, passTypes, { onChange = null } = {}) {
+    this.composer = composer;
+    this.passTypes = passTypes;
+    this.onChange = onChange;
+    this.entries = [];
+  }
+
+  // Replace the whole list; instances whose id, type and params are unchanged are kept
+  setDescriptors(descriptors) {
+    const previous = new Map(this.entries.map(entry => [entry.id, entry]));
+    this.entries = descriptors.map(descriptor => {
+      const normalized = normalizeDescriptor(descriptor);
+      const existing = previous.get(normalized.id);
+      if (existing && existing.type === normalized.type && JSON.stringify(existing.params) === JSON.stringify(normalized.params)) {
+        previous.delete(normalized.id);
+        return Object.assign(existing, { enabled: normalized.enabled });
+      }
+      return this.createEntry(normalized);
+    });
+    previous.forEach(entry => entry.pass.dispose());
+    this.rebuild();
+    return this;
+  }
+
+  getDescriptors() {
+    return this.entries.map(({ id, type, params, enabled }) => ({ id, type, params, enabled }));
+  }
+
+  // The pass instance for an id, or null
+  get(id) {
+    return this.entries.find(entry => entry.id === id)?.pass ?? null;
+  }
+
+  isEnabled(id) {
+    return this.entries.find(entry => entry.id === id)?.enabled ?? false;
+  }
+
+  // Insert a pass at index (the end by default) and return its instance
+  add(descriptor, index = this.entries.length) {
+    const normalized = normalizeDescriptor(descriptor);
+    if (this.entries.some(entry => entry.id === normalized.id)) throw new Error(`Duplicate pass id "${normalized.id}"`);
+    const entry = this.createEntry(normalized);
+    this.entries.splice(THREE.MathUtils.clamp(index, 0, this.entries.length), 0, entry);
+    this.rebuild();
+    return entry.pass;
+  }
+
+  // Take a pass out of the chain and free it
+  remove(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    const [entry] = this.entries.splice(index, 1);
+    this.rebuild();
+    entry.pass.dispose();
+    return true;
+  }
+
+  move(id, index) {
+    const from = this.entries.findIndex(entry => entry.id === id);
+    if (from === -1) return false;
+    const [entry] = this.entries.splice(from, 1);
+    this.entries.splice(THREE.MathUtils.clamp(index, 0, this.entries.length), 0, entry);
+    this.rebuild();
+    return true;
+  }
+
+  setEnabled(id, enabled) {
+    const entry = this.entries.find(candidate => candidate.id === id);
+    if (!entry || entry.enabled === enabled) return;
+    entry.enabled = enabled;
+    this.rebuild();
+  }
+
+  toggle(id) {
+    this.setEnabled(id, !this.isEnabled(id));
+    return this.isEnabled(id);
+  }
+
+  // Refill the composer; addPass sizes each pass to the composer's current size
+  rebuild() {
+    this.composer.passes.length = 0;
+    for (const entry of this.entries) {
+      entry.pass.enabled = entry.enabled;
+      if (entry.enabled) this.composer.addPass(entry.pass);
+    }
+    this.onChange?.(this);
+  }
+
+  // Size in CSS pixels; the composer applies the pixel ratio
+  setSize(width, height) {
+    this.composer.setSize(width, height);
+  }
+
+  dispose() {
+    this.composer.passes.length = 0;
+    this.entries.forEach(entry => entry.pass.dispose());
+    this.entries = [];
+  }
+
+  createEntry(descriptor) {
+    const factory = this.passTypes[descriptor.type];
+    if (!factory) throw new Error(`Unknown pass type "${descriptor.type}"`);
+    return { ...descriptor, pass: factory(descriptor.params) };
+  }
+}
+
+function normalizeDescriptor(pass) {
+  const id = pass.id ?? pass.type;
+  if (typeof id !== 'string' || !id) throw new Error(`Pass ${pass.type} has an invalid id`);
+  if (pass.params !== undefined && (typeof pass.params !== 'object' || pass.params === null || Array.isArray(pass.params))) {
+    throw new Error(`Pass "${id}" params must be an object`);
+  }
+  if (pass.enabled !== undefined && typeof pass.enabled !== 'boolean') {
+    throw new Error(`Pass "${id}" enabled must be true or false`);
+  }
+  return { id, type: pass.type, params: pass.params ?? {}, enabled: pass.enabled ?? true };
+}
+
+export { PostPipeline };
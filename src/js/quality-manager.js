@@ -0,0 +1,218 @@
+// quality-manager.js - Frame-time governor that steps rendering quality up and down a ladder
+import { setSkyOctaves } from './shader-manager.js';
+
+// Settings at the top of the ladder. pixelRatio is capped by the display's own
+const TOP = {
+  pixelRatio: 2,
+  taaSampleLevel: 2,
+  blurDirections: 16,
+  blurQuality: 4,
+  bloomScale: 1,
+  vegetationDensity: 1,
+  skyOctaves: 5
+};
+
+// Each rung changes a little more than the one above it, cheapest visual loss first
+const RUNGS = [
+  {},
+  { taaSampleLevel: 1 },
+  { pixelRatio: 1.5 },
+  { pixelRatio: 1, blurQuality: 3 },
+  { bloomScale: 0.5 },
+  { skyOctaves: 3 },
+  { blurDirections: 12 },
+  { taaSampleLevel: 0 },
+  { blurDirections: 8, blurQuality: 2 },
+  { vegetationDensity: 0.6 },
+  { bloomScale: 0.25 },
+  { pixelRatio: 0.75 },
+  { skyOctaves: 2, blurDirections: 6, blurQuality: 1 },
+  { vegetationDensity: 0.35 },
+  { pixelRatio: 0.5 }
+];
+
+// Cumulative settings per rung
+const LADDER = RUNGS.reduce((ladder, rung) => {
+  ladder.push({ ...(ladder[ladder.length - 1] || TOP), ...rung });
+  return ladder;
+}, []);
+
+// Exports render at full quality and pixel ratio 1
+const SUSPENDED = { ...LADDER[0], pixelRatio: 1 };
+
+// Manual presets are fixed points on the ladder
+export const QUALITY_PRESETS = { ultra: 0, high: 3, medium: 7, low: 12 };
+
+const WINDOW_SIZE = 60; // Frames in the rolling average
+const DEGRADE_RATIO = 1.2; // Step down when frames run this far over budget...
+const RECOVER_RATIO = 0.7; // ...and back up when they fit this far under it
+const DEGRADE_HOLD = 1; // Seconds over budget before stepping down
+const RECOVER_HOLD = 4; // Seconds of headroom before stepping up
+const MAX_RECOVER_HOLD = 32;
+const MAX_FRAME = 0.25; // Longer frames are stalls or hidden tabs, not load
+
+let targets = null;
+let rung = QUALITY_PRESETS.high;
+let mode = 'auto';
+let budget = 1 / 50;
+let bloomScale = 1;
+const frames = new Float32Array(WINDOW_SIZE);
+let frameIndex = 0, frameCount = 0, frameSum = 0;
+let overTime = 0, underTime = 0;
+let recoverHold = RECOVER_HOLD;
+let lastStep = 0, sinceStep = 0;
+let size = { width: window.innerWidth, height: window.innerHeight };
+let suspended = false;
+const listeners = new Set();
+
+/**
+ * targets: { renderer, composer, taaPass, depthBlurPass, bloomPass, skyMaterial, vegetation }.
+ * Any of them may be missing; their settings are then skipped.
+ * preset is 'auto' or a QUALITY_PRESETS name, targetFps the frame rate auto aims for
+ */
+export function init(passTargets, { preset = 'auto', targetFps = 50 } = {}) {
+  targets = passTargets;
+  budget = 1 / targetFps;
+  setPreset(preset);
+}
+
+/**
+ * Swap some targets, e.g. passes the post-processing pipeline rebuilt, and give
+ * them the current settings
+ */
+export function setTargets(passTargets) {
+  if (!targets) return;
+  Object.assign(targets, passTargets);
+  apply(suspended ? SUSPENDED : LADDER[rung]);
+}
+
+/**
+ * 'auto' lets the governor move between rungs, starting from the current one;
+ * a preset name pins quality to its rung
+ */
+export function setPreset(name) {
+  if (name !== 'auto' && !(name in QUALITY_PRESETS)) throw new Error(`Unknown quality preset: ${name}`);
+  mode = name;
+  resetMeasurements();
+  recoverHold = RECOVER_HOLD;
+  setRung(name === 'auto' ? rung : QUALITY_PRESETS[name], true);
+}
+
+export const getPreset = () => mode;
+
+export function getQuality() {
+  return {
+    preset: mode,
+    rung,
+    settings: { ...LADDER[rung], pixelRatio: getPixelRatio() },
+    frameTime: frameCount ? frameSum / frameCount : 0
+  };
+}
+
+// fn(quality) after every change; returns an unsubscribe function
+export function onChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Feed one wall-clock frame time (seconds, not scaled by playback rate)
+ */
+export function update(frameTime) {
+  if (!targets || suspended || mode !== 'auto') return;
+  if (!(frameTime > 0) || frameTime > MAX_FRAME) return;
+
+  sinceStep += frameTime;
+  frameSum += frameTime - frames[frameIndex];
+  frames[frameIndex] = frameTime;
+  frameIndex = (frameIndex + 1) % WINDOW_SIZE;
+  frameCount = Math.min(frameCount + 1, WINDOW_SIZE);
+  if (frameCount < WINDOW_SIZE) return;
+
+  const average = frameSum / frameCount;
+  overTime = average > budget * DEGRADE_RATIO ? overTime + frameTime : 0;
+  underTime = average < budget * RECOVER_RATIO ? underTime + frameTime : 0;
+
+  if (overTime >= DEGRADE_HOLD && rung < LADDER.length - 1) {
+    // Falling back soon after a recovery means the rung above doesn't fit: wait longer before the next try
+    if (lastStep < 0 && sinceStep < recoverHold * 2) recoverHold = Math.min(recoverHold * 2, MAX_RECOVER_HOLD);
+    else if (sinceStep > MAX_RECOVER_HOLD) recoverHold = RECOVER_HOLD;
+    step(1);
+  } else if (underTime >= recoverHold && rung > 0) {
+    step(-1);
+  }
+}
+
+/**
+ * Render size in CSS pixels, after the composer has been resized. Bloom runs
+ * at a fraction of it, so it has to be resized after the composer
+ */
+export function resize(width, height) {
+  size = { width, height };
+  applyBloomScale();
+}
+
+/**
+ * Pin full quality at pixel ratio 1 (e.g. for offline export). Returns a function that restores the previous state
+ */
+export function suspend() {
+  const previous = { rung, mode };
+  suspended = true;
+  apply(SUSPENDED);
+  return () => {
+    suspended = false;
+    mode = previous.mode;
+    resetMeasurements();
+    setRung(previous.rung, true);
+  };
+}
+
+function step(direction) {
+  lastStep = direction;
+  sinceStep = 0;
+  resetMeasurements();
+  setRung(rung + direction);
+  console.log(`Quality ${direction > 0 ? 'lowered' : 'raised'} to rung ${rung}/${LADDER.length - 1}`);
+}
+
+function setRung(index, force = false) {
+  const next = Math.max(0, Math.min(LADDER.length - 1, index));
+  if (next === rung && !force) return;
+  rung = next;
+  apply(LADDER[rung]);
+  const quality = getQuality();
+  listeners.forEach(fn => fn(quality));
+}
+
+function apply(settings) {
+  if (!targets) return;
+  const { renderer, composer, taaPass, depthBlurPass, skyMaterial, vegetation } = targets;
+
+  const pixelRatio = Math.min(settings.pixelRatio, window.devicePixelRatio || 1);
+  if (renderer && renderer.getPixelRatio() !== pixelRatio) {
+    renderer.setPixelRatio(pixelRatio);
+    composer?.setPixelRatio(pixelRatio);
+  }
+  if (taaPass) taaPass.sampleLevel = settings.taaSampleLevel;
+  depthBlurPass?.setBlurQuality(settings.blurDirections, settings.blurQuality);
+  vegetation?.setDensity(settings.vegetationDensity);
+  setSkyOctaves(skyMaterial, settings.skyOctaves);
+
+  bloomScale = settings.bloomScale;
+  applyBloomScale();
+}
+
+function applyBloomScale() {
+  const { renderer, bloomPass } = targets || {};
+  if (!renderer || !bloomPass) return;
+  const scale = renderer.getPixelRatio() * bloomScale;
+  bloomPass.setSize(Math.max(1, Math.round(size.width * scale)), Math.max(1, Math.round(size.height * scale)));
+}
+
+const getPixelRatio = () => targets?.renderer?.getPixelRatio() ?? 1;
+
+function resetMeasurements() {
+  frames.fill(0);
+  frameIndex = frameCount = frameSum = 0;
+  overTime = underTime = 0;
+}
@@ -0,0 +1,37 @@
+// random.js - Seedable pseudo-random numbers for reproducible generation
+
+// Hash any string or number into a 32-bit seed (FNV-1a)
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Create a mulberry32 generator. random() returns [0, 1) like Math.random
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.seed = seed;
+  random.range = (min, max) => min + random() * (max - min);
+  random.int = max => Math.floor(random() * max);
+  random.pick = array => array[Math.floor(random() * array.length)];
+  return random;
+}
+
+// Read a seed from the page URL (?seed=...), or fall back to the given value
+export function getSeedFromURL(fallback, param = 'seed') {
+  const value = new URLSearchParams(window.location.search).get(param);
+  return value !== null && value !== '' ? value : fallback;
+}
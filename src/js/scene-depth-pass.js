@@ -0,0 +1,71 @@
+// scene-depth-pass.js - Shared scene depth in a DepthTexture, rendered once per frame for every effect that needs it
+import * as THREE from 'three';
+import { Pass } from 'three/examples/jsm/postprocessing/Pass.js';
+
+/**
+ * Depth-only render of the scene into a DepthTexture. It leaves the composer's
+ * buffers alone, so it can sit anywhere before the passes that read
+ * depthTexture. Excluded layers are masked off on the camera for this render:
+ * objects that live only on those layers write no depth.
+ *
+ * This is a second scene render on purpose. The colour render's depth can't
+ * stand in for it: TAA draws into its own private, jittered sample target,
+ * RenderPass draws into whichever composer buffer is current, and both
+ * include the excluded layers (the cursor plane would show up as an in-focus
+ * surface)
+ */
+class SceneDepthPass extends Pass {
+  constructor(scene, camera) {
+    super();
+
+    this.scene = scene;
+    this.camera = camera;
+    this.needsSwap = false;
+
+    this.excludedLayers = new THREE.Layers();
+    this.excludedLayers.disableAll();
+
+    // The colour attachment is never written; keep it as small a format as possible
+    this.depthTexture = new THREE.DepthTexture(1, 1);
+    this.renderTarget = new THREE.WebGLRenderTarget(1, 1, {
+      format: THREE.RedFormat,
+      depthTexture: this.depthTexture
+    });
+    this.renderTarget.texture.name = 'SceneDepthPass.color';
+
+    this.depthMaterial = new THREE.MeshBasicMaterial({ colorWrite: false });
+  }
+
+  excludeLayer(layer) {
+    this.excludedLayers.enable(layer);
+  }
+
+  render(renderer) {
+    const mask = this.camera.layers.mask;
+    const overrideMaterial = this.scene.overrideMaterial;
+    const renderTarget = renderer.getRenderTarget();
+
+    this.camera.layers.mask = mask & ~this.excludedLayers.mask;
+    this.scene.overrideMaterial = this.depthMaterial;
+
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.clear();
+    renderer.render(this.scene, this.camera);
+
+    renderer.setRenderTarget(renderTarget);
+    this.scene.overrideMaterial = overrideMaterial;
+    this.camera.layers.mask = mask;
+  }
+
+  setSize(width, height) {
+    this.renderTarget.setSize(width, height);
+  }
+
+  dispose() {
+    this.renderTarget.dispose();
+    this.depthTexture.dispose();
+    this.depthMaterial.dispose();
+  }
+}
+
+export { SceneDepthPass };
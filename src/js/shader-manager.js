@@ -145,6 +145,10 @@ const shaders = {
         gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
       }`,
     fragmentShader: `
+      #ifndef CLOUD_OCTAVES
+      #define CLOUD_OCTAVES 5
+      #endif
+      
       uniform float time;
       uniform vec2 resolution;
       uniform vec3 cloudColor;
@@ -166,7 +170,7 @@ const shaders = {
       float cloudyFbm(vec2 uv) {
         float f = 0.0;
         vec2 rotator = vec2(0.91, 1.5);
-        for (int i = 0; i < 5; ++i) {
+        for (int i = 0; i < CLOUD_OCTAVES; ++i) {
           vec2 tmp = uv;
           uv.x = tmp.x * rotator.x - tmp.y * rotator.y;
           uv.y = tmp.x * rotator.y + tmp.y * rotator.x;
@@ -233,6 +237,10 @@ class ChromaticAberrationPass extends ShaderPass {
     if (strength !== undefined) this.uniforms.aberrationStrength.value = strength;
     if (threshold !== undefined) this.uniforms.brightnessThreshold.value = threshold;
   }
+  
+  setSize(width, height) {
+    this.uniforms.resolution.value.set(width, height);
+  }
 }
 
 // Cursor Plane Manager
@@ -241,6 +249,7 @@ class CursorPlane {
     this.plane = null;
     this.material = null;
     this.mousePosition = new THREE.Vector2(0.5, 0.5);
+    this.followPointer = true;
   }
 
   init(scene, camera) {
@@ -270,13 +279,14 @@ class CursorPlane {
   }
 
   updateMouse(x, y) {
+    if (!this.followPointer) return;
     this.mousePosition.set(x / window.innerWidth, 1.0 - (y / window.innerHeight));
     if (this.material) this.material.uniforms.uMouse.value = this.mousePosition;
   }
 
-  updateViewport() {
+  updateViewport(width = window.innerWidth, height = window.innerHeight) {
     if (this.material) {
-      this.material.uniforms.uViewportSize.value.set(window.innerWidth, window.innerHeight);
+      this.material.uniforms.uViewportSize.value.set(width, height);
     }
   }
 
@@ -304,6 +314,7 @@ function createSkyPlane(options = {}) {
   
   const material = new THREE.ShaderMaterial({
     ...shaders.skyCloud,
+    defines: { CLOUD_OCTAVES: 5 },
     transparent: true
   });
   
@@ -321,6 +332,81 @@ function createSkyPlane(options = {}) {
   return mesh;
 }
 
+// Noise octaves per cloud layer; changing them recompiles the sky shader
+function setSkyOctaves(material, octaves) {
+  if (!material?.defines || material.defines.CLOUD_OCTAVES === octaves) return;
+  material.defines.CLOUD_OCTAVES = octaves;
+  material.needsUpdate = true;
+}
+
+// Grass wind - layered noise sway injected into a built-in material's vertex shader.
+// Displacement is applied in instance space and weighted by uv.y (0 at the root, 1 at the tip)
+const grassWindChunk = /* glsl */`
+  uniform float uWindTime;
+  uniform float uWindStrength;
+  uniform float uWindGust;
+  uniform vec2 uWindDirection;
+
+  float windHash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+  }
+
+  float windNoise(vec2 p) {
+    vec2 i = floor(p), f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(mix(windHash(i), windHash(i + vec2(1.0, 0.0)), f.x),
+               mix(windHash(i + vec2(0.0, 1.0)), windHash(i + vec2(1.0, 1.0)), f.x), f.y);
+  }
+
+  vec2 windOffset(vec2 p) {
+    vec2 dir = normalize(uWindDirection);
+    vec2 side = vec2(-dir.y, dir.x);
+    float wave = sin(dot(p, dir) * 0.15 - uWindTime * 1.3) * 0.5 + 0.5;   // Broad rolling wave
+    float gust = windNoise(p * 0.05 - dir * uWindTime * 0.6);            // Travelling gusts
+    float flutter = windNoise(p * 0.8 + uWindTime * 3.0) - 0.5;          // Per-blade flutter
+    float amount = uWindStrength * (0.4 * wave + gust * (0.6 + uWindGust * 2.0));
+    return dir * amount + side * flutter * 0.15 * (1.0 + uWindGust);
+  }
+`;
+
+const grassWindVertex = /* glsl */`
+  vec4 mvPosition = vec4(transformed, 1.0);
+  #ifdef USE_INSTANCING
+    mvPosition = instanceMatrix * mvPosition;
+  #endif
+
+  // Sample the wind at the blade root so each blade bends as one piece
+  vec4 windRoot = vec4(0.0, 0.0, 0.0, 1.0);
+  #ifdef USE_INSTANCING
+    windRoot = instanceMatrix * windRoot;
+  #endif
+  vec2 wind = windOffset((modelMatrix * windRoot).xz) * uv.y * uv.y;
+  mvPosition.xz += wind;
+  mvPosition.y -= dot(wind, wind) * 0.5; // Keep blade length roughly constant
+
+  mvPosition = modelViewMatrix * mvPosition;
+  gl_Position = projectionMatrix * mvPosition;
+`;
+
+// Add wind sway to a (typically instanced) grass material; returns its uniforms
+function applyGrassWind(material, { strength = 0.3, direction = new THREE.Vector2(1, 0.3) } = {}) {
+  const uniforms = {
+    uWindTime: { value: 0 },
+    uWindStrength: { value: strength },
+    uWindGust: { value: 0 },
+    uWindDirection: { value: direction.clone() }
+  };
+
+  material.onBeforeCompile = shader => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${grassWindChunk}`)
+      .replace('#include <project_vertex>', grassWindVertex);
+  };
+  material.customProgramCacheKey = () => 'grass-wind';
+  return uniforms;
+}
+
 // Update cloud uniforms helper
 function updateCloudUniforms(material, time, width, height) {
   if (material?.uniforms) {
@@ -335,5 +421,7 @@ export {
   CursorPlane, 
   createSkyPlane, 
   updateCloudUniforms,
+  setSkyOctaves,
+  applyGrassWind,
   shaders // Export raw shaders for custom usage
 };
\ No newline at end of file
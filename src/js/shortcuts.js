@@ -0,0 +1,253 @@
+// shortcuts.js - Named keyboard actions with a remappable keymap, conflict checks and a help overlay
+import { loadJSON } from './file-loader.js';
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+const HELP_ID = 'shortcuts.help';
+
+// Registered actions by id, and key overrides from a keymap by id
+const actions = new Map();
+let keymap = {};
+let conflicts = [];
+let listening = false;
+let overlay = null;
+
+/**
+ * Register a named action. keys are combos like 'Space', 'E', 'Shift+E', '['
+ * or 'ArrowLeft'; a keymap entry for the id replaces them. handler(event, combo)
+ * runs on keydown while enabled() returns true
+ */
+export function registerShortcut(id, { keys, description = id, group = 'General', handler, enabled = null, repeat = false, preventDefault = false }) {
+  if (typeof handler !== 'function') throw new Error(`Shortcut "${id}" needs a handler`);
+  if (actions.has(id)) throw new Error(`Shortcut "${id}" is already registered`);
+
+  const defaults = toArray(keys).map(parseCombo);
+  actions.set(id, { id, description, group, handler, enabled, repeat, preventDefault, defaults, combos: [] });
+  ensureListener();
+  resolveBindings();
+  return () => unregisterShortcut(id);
+}
+
+export function unregisterShortcut(id) {
+  actions.delete(id);
+  resolveBindings();
+}
+
+/**
+ * Replace key overrides: { actionId: 'Key' or ['Key', ...] }. An empty list unbinds the action
+ */
+export function setKeymap(map) {
+  keymap = {};
+  for (const [id, keys] of Object.entries(map || {})) {
+    keymap[id] = toArray(keys).map(parseCombo);
+  }
+  resolveBindings();
+}
+
+// Load a JSON keymap
+export function loadKeymap(path, manager) {
+  return loadJSON(path, manager, data => {
+    setKeymap(data?.keymap ?? data);
+    return keymap;
+  }, 'keymap');
+}
+
+/**
+ * Every action with its active keys, grouped for display
+ */
+export function getBindings() {
+  return [...actions.values()].map(({ id, description, group, combos }) => ({
+    id,
+    description,
+    group,
+    keys: combos.map(formatCombo)
+  }));
+}
+
+// Combos claimed by more than one action: [{ keys, actions: [id, ...] }]
+export function getConflicts() {
+  return conflicts;
+}
+
+export function toggleHelp(visible = !overlay || overlay.style.display === 'none') {
+  if (!visible) {
+    if (overlay) overlay.style.display = 'none';
+    return;
+  }
+  if (!overlay) createOverlay();
+  renderOverlay();
+  overlay.style.display = 'flex';
+}
+
+// The first action registered for a combo keeps it; later claimants are reported
+function resolveBindings() {
+  const owners = new Map();
+  conflicts = [];
+
+  for (const action of actions.values()) {
+    action.combos = [];
+    for (const combo of keymap[action.id] ?? action.defaults) {
+      const key = serializeCombo(combo);
+      const owner = owners.get(key);
+      if (owner) {
+        let conflict = conflicts.find(entry => entry.keys === formatCombo(combo));
+        if (!conflict) {
+          conflict = { keys: formatCombo(combo), actions: [owner.id] };
+          conflicts.push(conflict);
+        }
+        conflict.actions.push(action.id);
+        console.warn(`Shortcut conflict: ${formatCombo(combo)} is bound to "${owner.id}" and "${action.id}"`);
+        continue;
+      }
+      owners.set(key, action);
+      action.combos.push(combo);
+    }
+  }
+  if (overlay?.style.display !== 'none') renderOverlay();
+}
+
+function ensureListener() {
+  if (listening) return;
+  listening = true;
+
+  document.addEventListener('keydown', onKeyDown);
+  registerShortcut(HELP_ID, {
+    keys: ['?', 'Escape'],
+    description: 'Show or hide this help',
+    handler: (event, combo) => toggleHelp(combo.key === '?' ? undefined : false)
+  });
+}
+
+function onKeyDown(event) {
+  if (isTextInput(event.target)) return;
+
+  for (const action of actions.values()) {
+    const combo = action.combos.find(candidate => matches(candidate, event));
+    if (!combo) continue;
+    if (event.repeat && !action.repeat) return;
+    if (action.enabled && !action.enabled()) return;
+
+    if (action.preventDefault) event.preventDefault();
+    action.handler(event, combo);
+    return;
+  }
+}
+
+// "Shift+E" -> { key: 'e', ctrl, alt, shift, meta }. Letters are case-insensitive;
+// Shift is only checked for letters and named keys, since symbols like ? need it anyway
+function parseCombo(text) {
+  if (typeof text !== 'string' || !text) throw new Error(`Invalid key combo: ${text}`);
+
+  const parts = text === '+' ? ['+'] : text.split(/\+(?!$)/);
+  const key = parts.pop();
+  const combo = { key: key.length === 1 ? key.toLowerCase() : key, ctrl: false, alt: false, shift: false, meta: false };
+  for (const part of parts) {
+    const modifier = part.toLowerCase();
+    if (!MODIFIERS.includes(modifier)) throw new Error(`Unknown modifier "${part}" in ${text}`);
+    combo[modifier] = true;
+  }
+  return combo;
+}
+
+function matches(combo, event) {
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  if (combo.key !== key && combo.key !== event.code) return false;
+  if (combo.ctrl !== event.ctrlKey || combo.alt !== event.altKey || combo.meta !== event.metaKey) return false;
+  return isSymbol(combo.key) || combo.shift === event.shiftKey;
+}
+
+function isSymbol(key) {
+  return key.length === 1 && !/[a-z0-9 ]/.test(key);
+}
+
+function serializeCombo(combo) {
+  return MODIFIERS.filter(modifier => combo[modifier] && (modifier !== 'shift' || !isSymbol(combo.key))).concat(combo.key).join('+');
+}
+
+function formatCombo(combo) {
+  const names = MODIFIERS.filter(modifier => combo[modifier]).map(modifier => modifier[0].toUpperCase() + modifier.slice(1));
+  const key = combo.key === ' ' ? 'Space' : combo.key.length === 1 ? combo.key.toUpperCase() : combo.key;
+  return [...names, key].join('+');
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isTextInput(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button'].includes(target.type);
+}
+
+function createOverlay() {
+  overlay = document.createElement('div');
+  overlay.style.position = 'fixed';
+  overlay.style.inset = '0';
+  overlay.style.display = 'none';
+  overlay.style.alignItems = 'center';
+  overlay.style.justifyContent = 'center';
+  overlay.style.background = 'rgba(0, 0, 0, 0.6)';
+  overlay.style.zIndex = '30';
+  overlay.addEventListener('click', () => toggleHelp(false));
+  document.body.appendChild(overlay);
+}
+
+function renderOverlay() {
+  if (!overlay) return;
+
+  const panel = document.createElement('div');
+  panel.style.maxHeight = '80vh';
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '20px 28px';
+  panel.style.background = 'rgba(10, 10, 10, 0.9)';
+  panel.style.color = '#fff';
+  panel.style.fontFamily = 'Arial, sans-serif';
+  panel.style.fontSize = '14px';
+  panel.style.borderRadius = '4px';
+
+  const groups = new Map();
+  for (const binding of getBindings()) {
+    if (!groups.has(binding.group)) groups.set(binding.group, []);
+    groups.get(binding.group).push(binding);
+  }
+
+  for (const [group, bindings] of groups) {
+    const heading = document.createElement('div');
+    heading.textContent = group;
+    heading.style.margin = '12px 0 6px';
+    heading.style.opacity = '0.6';
+    heading.style.textTransform = 'uppercase';
+    heading.style.fontSize = '11px';
+    panel.appendChild(heading);
+
+    for (const binding of bindings) {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.gap = '32px';
+      row.style.padding = '2px 0';
+
+      const description = document.createElement('span');
+      description.textContent = binding.description;
+      const keys = document.createElement('span');
+      keys.textContent = binding.keys.length ? binding.keys.join('  ') : 'unbound';
+      keys.style.fontFamily = 'monospace';
+      keys.style.opacity = binding.keys.length ? '1' : '0.4';
+
+      row.appendChild(description);
+      row.appendChild(keys);
+      panel.appendChild(row);
+    }
+  }
+
+  for (const conflict of conflicts) {
+    const warning = document.createElement('div');
+    warning.textContent = `${conflict.keys} is claimed by ${conflict.actions.join(', ')} - only the first is active`;
+    warning.style.marginTop = '8px';
+    warning.style.color = '#ff6b6b';
+    panel.appendChild(warning);
+  }
+
+  overlay.replaceChildren(panel);
+}
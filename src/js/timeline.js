@@ -0,0 +1,128 @@
+// timeline.js - Declarative cue sheet evaluated against audio time
+import * as THREE from 'three';
+import { getEasing } from './easing.js';
+import { loadJSON } from './file-loader.js';
+
+// Load and validate a JSON cue sheet
+export function loadCueSheet(path, manager) {
+  return loadJSON(path, manager, parseCueSheet, 'cue sheet');
+}
+
+// Normalize a cue sheet ({ cues: [...] } or a bare array) into validated cues
+export function parseCueSheet(data) {
+  const cues = Array.isArray(data) ? data : data?.cues;
+  if (!Array.isArray(cues)) {
+    throw new Error('Cue sheet must contain a "cues" array');
+  }
+
+  const ids = new Set();
+  return cues.map((cue, index) => {
+    const label = cue?.id ? `"${cue.id}"` : `#${index}`;
+
+    if (typeof cue?.id !== 'string' || !cue.id) throw new Error(`Cue ${label} is missing an id`);
+    if (ids.has(cue.id)) throw new Error(`Duplicate cue id ${label}`);
+    if (!Number.isFinite(cue.start) || cue.start < 0) throw new Error(`Cue ${label} has an invalid start`);
+    if (!Number.isFinite(cue.duration ?? 0) || (cue.duration ?? 0) < 0) throw new Error(`Cue ${label} has an invalid duration`);
+    if (typeof cue.target !== 'string' || typeof cue.action !== 'string') {
+      throw new Error(`Cue ${label} needs a target and an action`);
+    }
+    getEasing(cue.easing);
+    ids.add(cue.id);
+
+    return {
+      id: cue.id,
+      start: cue.start,
+      duration: cue.duration ?? 0,
+      target: cue.target,
+      action: cue.action,
+      easing: cue.easing || 'linear',
+      params: cue.params || {}
+    };
+  });
+}
+
+/**
+ * Evaluates cues against a time value without keeping playback history,
+ * so any seek lands in the same state as straight playback
+ */
+class Timeline {
+  constructor(cues = []) {
+    this.cues = [];
+    this.channels = new Map();
+    this.handlers = new Map();
+    this.setCues(cues);
+  }
+
+  /**
+   * Replace all cues, grouping them into target/action channels
+   */
+  setCues(cues) {
+    this.cues = [...cues].sort((a, b) => a.start - b.start);
+    this.channels.clear();
+
+    for (const cue of this.cues) {
+      const key = `${cue.target}.${cue.action}`;
+      if (!this.channels.has(key)) this.channels.set(key, []);
+      this.channels.get(key).push(cue);
+    }
+    return this;
+  }
+
+  /**
+   * Register the handler that applies a target/action channel
+   */
+  on(target, action, handler) {
+    this.handlers.set(`${target}.${action}`, handler);
+    return this;
+  }
+
+  getCue(id) {
+    return this.cues.find(cue => cue.id === id) || null;
+  }
+
+  getCues(target, action) {
+    return this.cues.filter(cue =>
+      (target === undefined || cue.target === target) &&
+      (action === undefined || cue.action === action)
+    );
+  }
+
+  /**
+   * Compute the state of a single cue at the given time
+   */
+  sample(cue, time) {
+    const localTime = time - cue.start;
+    const linear = cue.duration > 0
+      ? THREE.MathUtils.clamp(localTime / cue.duration, 0, 1)
+      : (localTime >= 0 ? 1 : 0);
+
+    return {
+      cue,
+      time,
+      localTime,
+      linear,
+      progress: getEasing(cue.easing)(linear),
+      active: localTime >= 0 && localTime < cue.duration
+    };
+  }
+
+  /**
+   * Apply every channel at the given time. Each channel is driven by the
+   * latest cue that has started, or by its first cue before any has
+   */
+  evaluate(time) {
+    for (const [key, cues] of this.channels) {
+      const handler = this.handlers.get(key);
+      if (!handler) continue;
+
+      let current = cues[0];
+      for (const cue of cues) {
+        if (cue.start > time) break;
+        current = cue;
+      }
+      handler(this.sample(current, time));
+    }
+  }
+}
+
+export { Timeline };
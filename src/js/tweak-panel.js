@@ -0,0 +1,277 @@
+// tweak-panel.js - Schema driven live parameter panel with localStorage persistence and JSON presets
+import { downloadBlob } from './video-exporter.js';
+
+const PRESET_VERSION = 1;
+
+/**
+ * Builds controls from a schema of sections:
+ *   { id, label, onChange?, controls: [{ key, label, type, min, max, step, get, set }] }
+ * type is 'number' (slider), 'boolean' (checkbox) or 'color' (hex string).
+ * Values are read through get() and written through set(), so the panel never
+ * needs to know where a parameter lives. Presets are { sectionId: { key: value } }
+ */
+class TweakPanel {
+  constructor(schema, { storageKey = 'avara.tweaks', title = 'Tweaks' } = {}) {
+    this.schema = schema;
+    this.storageKey = storageKey;
+    this.title = title;
+    this.inputs = new Map();
+    this.saveTimer = null;
+
+    // Defaults are whatever the scene starts with, before any stored preset
+    this.defaults = this.getValues();
+    this.createElement();
+
+    const stored = this.readStorage();
+    if (stored) this.apply(stored, { save: false });
+  }
+
+  /**
+   * Current values of every control as a preset
+   */
+  getValues() {
+    const values = {};
+    for (const section of this.schema) {
+      values[section.id] = {};
+      for (const control of section.controls) {
+        values[section.id][control.key] = control.get();
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Apply a (partial) preset. Unknown sections and keys are ignored, numbers are clamped
+   */
+  apply(values, { save = true } = {}) {
+    for (const section of this.schema) {
+      const sectionValues = values?.[section.id];
+      if (!sectionValues) continue;
+
+      let changed = false;
+      for (const control of section.controls) {
+        if (!(control.key in sectionValues)) continue;
+        const value = normalize(control, sectionValues[control.key]);
+        if (value === undefined) continue;
+        control.set(value);
+        changed = true;
+      }
+      if (changed) section.onChange?.();
+    }
+    this.refresh();
+    if (save) this.save();
+  }
+
+  reset() {
+    this.apply(this.defaults, { save: false });
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Nothing stored, or storage unavailable
+    }
+  }
+
+  // Pull values back from the scene, e.g. after a shortcut changed one.
+  // A get() that returns undefined has nothing to show, and its input is left alone
+  refresh() {
+    for (const section of this.schema) {
+      for (const control of section.controls) {
+        const input = this.inputs.get(`${section.id}.${control.key}`);
+        const value = control.get();
+        if (input && value !== undefined) input.sync(value);
+      }
+    }
+  }
+
+  toggle(visible = this.element.style.display === 'none') {
+    if (visible) this.refresh();
+    this.element.style.display = visible ? 'block' : 'none';
+    return visible;
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.getValues()));
+      } catch (error) {
+        console.warn('Could not save tweaks:', error);
+      }
+    }, 250);
+  }
+
+  exportPreset(filename = 'tweaks.json') {
+    const preset = { version: PRESET_VERSION, values: this.getValues() };
+    downloadBlob(new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' }), filename);
+  }
+
+  // Read a preset file picked by the user
+  async importPreset(file) {
+    const data = JSON.parse(await file.text());
+    if (!data || typeof data !== 'object') throw new Error('Preset must be a JSON object');
+    this.apply(data.values ?? data);
+  }
+
+  readStorage() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('Could not restore tweaks:', error);
+      return null;
+    }
+  }
+
+  createElement() {
+    const element = document.createElement('div');
+    element.style.position = 'fixed';
+    element.style.top = '20px';
+    element.style.right = '20px';
+    element.style.width = '280px';
+    element.style.maxHeight = 'calc(100vh - 140px)';
+    element.style.overflowY = 'auto';
+    element.style.padding = '10px 12px';
+    element.style.background = 'rgba(10, 10, 10, 0.85)';
+    element.style.color = '#fff';
+    element.style.fontFamily = 'Arial, sans-serif';
+    element.style.fontSize = '12px';
+    element.style.zIndex = '25';
+    element.style.display = 'none';
+
+    const title = document.createElement('div');
+    title.textContent = this.title;
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '6px';
+    element.appendChild(title);
+
+    for (const section of this.schema) {
+      const heading = document.createElement('div');
+      heading.textContent = section.label;
+      heading.style.margin = '10px 0 4px';
+      heading.style.opacity = '0.6';
+      heading.style.textTransform = 'uppercase';
+      heading.style.fontSize = '10px';
+      element.appendChild(heading);
+
+      for (const control of section.controls) {
+        element.appendChild(this.createControl(section, control));
+      }
+    }
+
+    element.appendChild(this.createButtons());
+    document.body.appendChild(element);
+    this.element = element;
+  }
+
+  createControl(section, control) {
+    const row = document.createElement('label');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.margin = '3px 0';
+
+    const name = document.createElement('span');
+    name.textContent = control.label || control.key;
+    name.style.flex = '0 0 90px';
+    row.appendChild(name);
+
+    const input = document.createElement('input');
+    const readout = document.createElement('span');
+    readout.style.flex = '0 0 48px';
+    readout.style.textAlign = 'right';
+    readout.style.fontFamily = 'monospace';
+
+    const onInput = value => {
+      control.set(value);
+      section.onChange?.();
+      this.save();
+    };
+
+    if (control.type === 'boolean') {
+      input.type = 'checkbox';
+      input.addEventListener('change', () => onInput(input.checked));
+      this.inputs.set(`${section.id}.${control.key}`, { sync: value => { input.checked = !!value; } });
+    } else if (control.type === 'color') {
+      input.type = 'color';
+      input.addEventListener('input', () => onInput(input.value));
+      this.inputs.set(`${section.id}.${control.key}`, { sync: value => { input.value = value; } });
+    } else {
+      input.type = 'range';
+      input.min = control.min ?? 0;
+      input.max = control.max ?? 1;
+      input.step = control.step ?? 0.01;
+      input.style.flex = '1';
+      input.style.minWidth = '0';
+      input.addEventListener('input', () => {
+        const value = parseFloat(input.value);
+        readout.textContent = formatNumber(value);
+        onInput(value);
+      });
+      this.inputs.set(`${section.id}.${control.key}`, {
+        sync: value => {
+          input.value = value;
+          readout.textContent = formatNumber(value);
+        }
+      });
+    }
+
+    row.appendChild(input);
+    if (input.type === 'range') row.appendChild(readout);
+    return row;
+  }
+
+  createButtons() {
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '6px';
+    buttons.style.marginTop = '12px';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (file) this.importPreset(file).catch(error => console.error('Could not import preset:', error));
+    });
+    buttons.appendChild(fileInput);
+
+    for (const [label, action] of [
+      ['Export', () => this.exportPreset()],
+      ['Import', () => fileInput.click()],
+      ['Reset', () => this.reset()]
+    ]) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.flex = '1';
+      button.style.padding = '4px';
+      button.style.background = '#222';
+      button.style.color = '#fff';
+      button.style.border = '1px solid #444';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', action);
+      buttons.appendChild(button);
+    }
+    return buttons;
+  }
+
+  dispose() {
+    clearTimeout(this.saveTimer);
+    this.element?.remove();
+    this.inputs.clear();
+  }
+}
+
+// Coerce a stored value to the control's type, or undefined when it doesn't fit
+function normalize(control, value) {
+  if (control.type === 'boolean') return typeof value === 'boolean' ? value : undefined;
+  if (control.type === 'color') return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value : undefined;
+  if (!Number.isFinite(value)) return undefined;
+  return Math.min(control.max ?? Infinity, Math.max(control.min ?? -Infinity, value));
+}
+
+function formatNumber(value) {
+  return Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(Math.abs(value) >= 10 ? 1 : 3);
+}
+
+export { TweakPanel };
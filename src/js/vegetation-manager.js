@@ -1,20 +1,51 @@
 import * as THREE from "three";
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as GUI from './gui.js';
+import { createRandom } from './random.js';
+import { applyGrassWind } from './shader-manager.js';
 
 // Constants
 const BLADE_WIDTH = 0.2, BLADE_HEIGHT = 1.2, BLADE_HEIGHT_VARIATION = 0.8, BLADE_VERTEX_COUNT = 5, BLADE_TIP_OFFSET = 0.1;
-const GRASS_SPREAD = 10, TREE_SPREAD = 20, MIN_DISTANCE = 5, REMOVAL_Z = 20, GENERATION_Z = -70;
+const GRASS_SPREAD = 10, TREE_SPREAD = 20, MIN_DISTANCE = 5, REMOVAL_Z = 20, FAR_Z = -200;
 const MIN_PATCH_SIZE = 10, MAX_PATCH_SIZE = 15, MIN_BLADE_COUNT = 500, MAX_BLADE_COUNT = 600;
 const TREE_CLEARANCE_FROM_CENTER = 7
+const SCROLL_SPEED = 30; // World units per second of audio
+const CHUNK_LENGTH = 25, GRASS_PER_CHUNK = 3, TREE_ATTEMPTS_PER_CHUNK = 30;
+const BLADE_VARIANTS = 8; // Shared blade shapes, one per tip bend direction
+const GRASS_POOL_SIZE = 8192, TREE_POOL_SIZE = 128; // Initial instances per pool; pools grow when full
 
 // State
 let grassPatches = [], trees = [], treeModels = [], resourcesLoaded = { trees: false, grass: false };
 let cloudTexture, gradientTexture;
 
+// Seeding - every layout and blade comes from a generator derived from this seed
+let seed = 'xsna';
+
+// The forest is a fixed track of chunks; the root group scrolls it with audio time.
+// Chunks only hold placements and instance matrices - all drawing goes through
+// one InstancedMesh per blade variant and per tree model
+const vegetationRoot = new THREE.Group();
+vegetationRoot.name = 'vegetation';
+const chunks = new Map();
+let grassPools = [], treePools = [], grassMaterial = null;
+let poolsDirty = false;
+
+// Fraction of each patch's blades that are drawn, lowered by the quality manager
+let density = 1;
+
+// Wind sway for the grass shader; gust (0-1) is meant to follow audio features
+const wind = { strength: 0.3, direction: new THREE.Vector2(1, 0.3), gust: 0 };
+let windUniforms = null;
+
+// Scratch objects for composing instance matrices
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
 // Utilities
-const interpolate = (val, oldMin, oldMax, newMin, newMax) => ((val - oldMin) * (newMax - newMin)) / (oldMax - oldMin) + newMin;
-const centerBiasedRandom = () => Math.pow(Math.random(), 1.5) * 2 - 1;
+const centerBiasedRandom = random => Math.pow(random(), 1.5) * 2 - 1;
 
 // Texture creation
 function createGradientTexture(colors = ['rgba(255,255,255,0)', 'rgb(0,0,0)']) {
@@ -41,147 +72,258 @@ function createDefaultTexture() {
   return new THREE.CanvasTexture(canvas);
 }
 
-// Grass Geometry
-class GrassGeometry extends THREE.BufferGeometry {
-  constructor(size, count) {
-    super();
-    const positions = [], uvs = [], indices = [];
-
-    for (let i = 0; i < count; i++) {
-      const radius = (size / 2) * Math.sqrt(Math.random());
-      const theta = Math.random() * 2 * Math.PI;
-      const x = radius * Math.cos(theta), y = radius * Math.sin(theta);
-      
-      uvs.push(...Array.from({ length: BLADE_VERTEX_COUNT }).flatMap((_, vertexIndex) => [
-        interpolate(x, -size/2, size/2, 0, 1),
-        vertexIndex >= 2 ? (vertexIndex === 4 ? 1.0 : 0.5) : 0
-      ]));
-      
-      const blade = this.computeBlade([x, 0, y], i);
-      positions.push(...blade.positions); indices.push(...blade.indices);
-    }
+// Blade of unit height, width along X, tip bent towards angle (radians) in the XZ plane.
+// Instances scale it to the blade height and rotate it to the blade yaw
+function createBladeGeometry(angle) {
+  const tip = [Math.cos(angle) * BLADE_TIP_OFFSET, 1, -Math.sin(angle) * BLADE_TIP_OFFSET];
+  const positions = [
+    BLADE_WIDTH / 2, 0, 0,
+    BLADE_WIDTH / -2, 0, 0,
+    BLADE_WIDTH / -4, 0.5, 0,
+    BLADE_WIDTH / 4, 0.5, 0,
+    ...tip
+  ];
+  const uvs = [0.5, 0, 0.5, 0, 0.5, 0.5, 0.5, 0.5, 0.5, 1];
 
-    this.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-    this.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
-    this.setIndex(indices); this.computeVertexNormals();
-  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex([0, 1, 2, 2, 4, 3, 3, 0, 2]);
+  geometry.computeVertexNormals();
+  return geometry;
+}
 
-  computeBlade(center, index = 0) {
-    const height = BLADE_HEIGHT + Math.random() * BLADE_HEIGHT_VARIATION;
-    const vIndex = index * BLADE_VERTEX_COUNT;
-    const yaw = Math.random() * Math.PI * 2, bend = Math.random() * Math.PI * 2;
-    const yawVec = [Math.sin(yaw), 0, -Math.cos(yaw)], bendVec = [Math.sin(bend), 0, -Math.cos(bend)];
-    
-    const bl = yawVec.map((n, i) => n * (BLADE_WIDTH / 2) + center[i]);
-    const br = yawVec.map((n, i) => n * (BLADE_WIDTH / -2) + center[i]);
-    const tl = yawVec.map((n, i) => n * (BLADE_WIDTH / 4) + center[i]);
-    const tr = yawVec.map((n, i) => n * (BLADE_WIDTH / -4) + center[i]);
-    const tc = bendVec.map((n, i) => n * BLADE_TIP_OFFSET + center[i]);
-    
-    tl[1] += height / 2; tr[1] += height / 2; tc[1] += height;
-    
-    return {
-      positions: [...bl, ...br, ...tr, ...tl, ...tc],
-      indices: [vIndex, vIndex + 1, vIndex + 2, vIndex + 2, vIndex + 4, vIndex + 3, vIndex + 3, vIndex, vIndex + 2]
-    };
+function createGrassMaterial() {
+  const alphaTexture = gradientTexture || createGradientTexture();
+  const material = new THREE.MeshPhysicalMaterial({
+    map: alphaTexture, roughness: 0.8, metalness: 0,
+    side: THREE.DoubleSide, transparent: true, alphaMap: alphaTexture, alphaTest: 0.1
+  });
+  windUniforms = applyGrassWind(material, wind);
+  return material;
+}
+
+// Instance pools
+function createPool(geometry, material, capacity, name) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.name = name;
+  mesh.count = 0;
+  mesh.frustumCulled = false; // Instances span the whole visible track
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  vegetationRoot.add(mesh);
+  return { mesh, capacity };
+}
+
+function createPools() {
+  disposePools();
+  grassMaterial = createGrassMaterial();
+  grassPools = Array.from({ length: BLADE_VARIANTS }, (_, variant) =>
+    createPool(createBladeGeometry(variant / BLADE_VARIANTS * Math.PI * 2), grassMaterial, GRASS_POOL_SIZE, `grass-${variant}`));
+
+  if (treeModels.length) {
+    treePools = treeModels.map(model => createPool(model.geometry, model.material, TREE_POOL_SIZE, model.name));
+  } else {
+    // Fallback box trees, raised so they stand on the ground
+    const geometry = new THREE.BoxGeometry(2, 5, 2).translate(0, 2.5, 0);
+    treePools = [createPool(geometry, new THREE.MeshPhysicalMaterial({ color: 0x228B22 }), TREE_POOL_SIZE, 'tree-box')];
+    treePools[0].ownsResources = true;
   }
 }
 
-// Grass Mesh
-class Grass extends THREE.Mesh {
-  constructor(size, count) {
-    const geometry = new GrassGeometry(size, count);
-    const alphaTexture = gradientTexture || createGradientTexture();
-    const material = new THREE.MeshPhysicalMaterial({
-      map: alphaTexture, roughness: 0.8, metalness: 0,
-      side: THREE.DoubleSide, transparent: true, alphaMap: alphaTexture, alphaTest: 0.1
-    });
-    super(geometry, material);
+function disposePools() {
+  grassPools.forEach(pool => {
+    pool.mesh.removeFromParent();
+    pool.mesh.geometry.dispose();
+    pool.mesh.dispose();
+  });
+  treePools.forEach(pool => {
+    pool.mesh.removeFromParent();
+    pool.mesh.dispose();
+    if (pool.ownsResources) {
+      pool.mesh.geometry.dispose();
+      pool.mesh.material.dispose();
+    }
+  });
+  grassMaterial?.dispose();
+  grassPools = []; treePools = []; grassMaterial = null;
+}
+
+// Copy the chunks' matrices into a pool, doubling its capacity if they don't fit
+function fillPool(pool, matrixArrays) {
+  const count = matrixArrays.reduce((sum, array) => sum + array.length / 16, 0);
+
+  if (count > pool.capacity) {
+    const { mesh } = pool;
+    while (pool.capacity < count) pool.capacity *= 2;
+    pool.mesh = new THREE.InstancedMesh(mesh.geometry, mesh.material, pool.capacity);
+    pool.mesh.name = mesh.name;
+    pool.mesh.frustumCulled = false;
+    pool.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.removeFromParent();
+    mesh.dispose();
+    vegetationRoot.add(pool.mesh);
+  }
+
+  const target = pool.mesh.instanceMatrix;
+  let offset = 0;
+  for (const array of matrixArrays) {
+    target.array.set(array, offset);
+    offset += array.length;
   }
+  pool.mesh.count = count;
+  target.clearUpdateRanges();
+  target.addUpdateRange(0, offset);
+  target.needsUpdate = true;
 }
 
-// Vegetation Management
-function createGrassPatch(scene, x, z, size, count) {
-  const grassPatch = new Grass(size, count);
-  grassPatch.position.set(x, 0, z);
-  scene.add(grassPatch); grassPatches.push(grassPatch);
-  return grassPatch;
+function syncPools() {
+  const ordered = [...chunks.values()].sort((a, b) => a.index - b.index);
+  grassPools.forEach((pool, variant) => fillPool(pool, ordered.map(chunk => chunk.blades[variant])));
+  treePools.forEach((pool, model) => fillPool(pool, ordered.map(chunk => chunk.treeMatrices[model])));
+  grassPatches = ordered.flatMap(chunk => chunk.grass);
+  trees = ordered.flatMap(chunk => chunk.trees);
+  poolsDirty = false;
 }
 
-function createTree(x, z) {
-  if (treeModels.length === 0) {
-    const geometry = new THREE.BoxGeometry(2, 5, 2);
-    const material = new THREE.MeshPhysicalMaterial({ color: 0x228B22 });
-    const box = new THREE.Mesh(geometry, material);
-    box.position.set(x, 2.5, z);
-    return box;
+// Blade matrices for a patch, sorted into the variant closest to each blade's bend.
+// Blades are a pure function of the patch seed, size and count; lower densities
+// keep a prefix of the same sequence, so thinning never moves a blade
+function addPatchBlades(patch, blades) {
+  const random = createRandom(patch.seed);
+
+  const count = Math.round(patch.count * density);
+
+  for (let i = 0; i < count; i++) {
+    const radius = (patch.size / 2) * Math.sqrt(random());
+    const theta = random() * 2 * Math.PI;
+    const height = BLADE_HEIGHT + random() * BLADE_HEIGHT_VARIATION;
+    const yaw = random() * Math.PI * 2, bend = random() * Math.PI * 2;
+
+    // Bend relative to the blade's own width axis picks the shared shape
+    const variant = THREE.MathUtils.euclideanModulo(Math.round((yaw - bend) / (Math.PI * 2) * BLADE_VARIANTS), BLADE_VARIANTS);
+
+    _position.set(patch.x + radius * Math.cos(theta), 0, patch.z + radius * Math.sin(theta));
+    _quaternion.setFromAxisAngle(_up, Math.PI / 2 - yaw);
+    _scale.set(1, height, 1);
+    _matrix.compose(_position, _quaternion, _scale).toArray(blades[variant], blades[variant].length);
   }
-  
-  const tree = treeModels[Math.floor(Math.random() * treeModels.length)].clone();
-  tree.position.set(x, 0, z);
-  return tree;
 }
 
-function createInitialVegetation(scene) {
-  // Clear existing
-  [...grassPatches, ...trees].forEach(obj => scene.remove(obj));
-  grassPatches = []; trees = [];
+const isTooClose = (placements, x, z) =>
+  placements.some(p => Math.pow(p.x - x, 2) + Math.pow(p.z - z, 2) < MIN_DISTANCE * MIN_DISTANCE);
+
+const getPatchSize = sizeFactor => ({
+  size: MIN_PATCH_SIZE + (MAX_PATCH_SIZE - MIN_PATCH_SIZE) * sizeFactor,
+  count: MIN_BLADE_COUNT + Math.floor((MAX_BLADE_COUNT - MIN_BLADE_COUNT) * sizeFactor)
+});
+
+// Placements for one chunk of track, covering track z in (-(index + 1) * CHUNK_LENGTH, -index * CHUNK_LENGTH].
+// Each chunk has its own generator and keeps its spacing inside its own bounds,
+// so any chunk can be rebuilt without the ones before it
+function getChunkPlacements(index) {
+  const random = createRandom(`${seed}:chunk:${index}`);
+  const near = -index * CHUNK_LENGTH;
+  const grass = [], trees = [];
   
-  // Create grass patches
-  createGrassPatch(scene, 0, -40, MAX_PATCH_SIZE + 5, MAX_BLADE_COUNT + 200);
-  for (let z = -20; z > -200; z -= 25) {
-    const patchesInRow = Math.max(2, Math.floor(6 * (1 - Math.abs(z) / 200)));
-    for (let i = 0; i < patchesInRow; i++) {
-      const x = centerBiasedRandom() * GRASS_SPREAD;
-      const sizeFactor = 1 - Math.sqrt(x*x + z*z) / Math.sqrt(GRASS_SPREAD*GRASS_SPREAD + 200*200) * 0.5;
-      const size = MIN_PATCH_SIZE + (MAX_PATCH_SIZE - MIN_PATCH_SIZE) * sizeFactor;
-      const count = MIN_BLADE_COUNT + Math.floor((MAX_BLADE_COUNT - MIN_BLADE_COUNT) * sizeFactor);
-      createGrassPatch(scene, x, z, size, count);
-    }
+  // Large patch under the character at the start of the track
+  if (near >= -40 && near - CHUNK_LENGTH < -40) {
+    grass.push({ x: 0, z: -40, seed: `${seed}:chunk:${index}:hero`, size: MAX_PATCH_SIZE + 5, count: MAX_BLADE_COUNT + 200 });
   }
   
-  // Create trees
-  for (let i = 0; i < 10; i++) {
-    const z = -100 - (i * 10);
-    for (let j = 0; j < 30; j++) {
-      const x = (Math.random() * 2 - 1) * TREE_SPREAD;
-      if (!trees.some(t => Math.pow(t.position.x - x, 2) + Math.pow(t.position.z - z, 2) < MIN_DISTANCE * MIN_DISTANCE)) {
-        const tree = createTree(x, z);
-        scene.add(tree); trees.push(tree);
-      }
-    }
+  const patchCount = GRASS_PER_CHUNK + random.int(2);
+  for (let attempts = 0; attempts < patchCount * 3 && grass.length < patchCount; attempts++) {
+    const x = centerBiasedRandom(random) * GRASS_SPREAD;
+    const z = near - random() * CHUNK_LENGTH;
+    if (isTooClose(grass, x, z)) continue;
+    grass.push({ x, z, seed: `${seed}:chunk:${index}:grass:${grass.length}`, ...getPatchSize(1 - Math.abs(x) / GRASS_SPREAD * 0.5) });
   }
+  
+  // Trees stay half the minimum distance inside the chunk and clear of the camera path
+  for (let attempts = 0; attempts < TREE_ATTEMPTS_PER_CHUNK; attempts++) {
+    const x = (random() * 2 - 1) * TREE_SPREAD;
+    const z = near - MIN_DISTANCE / 2 - random() * (CHUNK_LENGTH - MIN_DISTANCE);
+    const model = random.int(1 << 16);
+    if (Math.abs(x) < TREE_CLEARANCE_FROM_CENTER || isTooClose(trees, x, z)) continue;
+    trees.push({ x, z, model });
+  }
+  
+  return { grass, trees };
 }
 
-function createNewVegetation(scene, type) {
-  for (let attempts = 0; attempts < 10; attempts++) {
-    const spread = type === 'grass' ? GRASS_SPREAD : TREE_SPREAD;
-    const x = (type === 'grass' ? centerBiasedRandom() : (Math.random() * 2 - 1)) * spread;
-    const z = GENERATION_Z - (Math.random() * 50);
-    
-    const existing = type === 'grass' ? grassPatches : trees;
-    const tooClose = existing.some(obj => Math.pow(obj.position.x - x, 2) + Math.pow(obj.position.z - z, 2) < MIN_DISTANCE * MIN_DISTANCE);
-    
-    // For trees, check if they're too close to the camera path (x near 0)
-    const tooCloseToCamera = type === 'tree' && Math.abs(x) < TREE_CLEARANCE_FROM_CENTER;
-    
-    if (!tooClose && !tooCloseToCamera) {
-      if (type === 'grass') {
-        const sizeFactor = 1 - Math.abs(x) / spread * 0.5;
-        const size = MIN_PATCH_SIZE + (MAX_PATCH_SIZE - MIN_PATCH_SIZE) * sizeFactor;
-        const count = MIN_BLADE_COUNT + Math.floor((MAX_BLADE_COUNT - MIN_BLADE_COUNT) * sizeFactor);
-        createGrassPatch(scene, x, z, size, count);
-      } else if (type === 'tree') {
-        const tree = createTree(x, z);
-        scene.add(tree); trees.push(tree);
-      }
-      return true;
-    }
-  }
-  return false;
+function buildChunk(index) {
+  const { grass, trees: treePlacements } = getChunkPlacements(index);
+
+  const blades = Array.from({ length: BLADE_VARIANTS }, () => []);
+  grass.forEach(patch => addPatchBlades(patch, blades));
+
+  // Trees keep the model's own rotation and scale from the GLB
+  const treeMatrices = treePools.map(() => []);
+  treePlacements.forEach(tree => {
+    const model = tree.model % treePools.length;
+    const source = treeModels[model];
+    _position.set(tree.x, 0, tree.z);
+    _matrix.compose(_position, source?.quaternion || _quaternion.identity(), source?.scale || _scale.set(1, 1, 1));
+    _matrix.toArray(treeMatrices[model], treeMatrices[model].length);
+  });
+
+  return {
+    index,
+    grass,
+    trees: treePlacements,
+    blades: blades.map(array => new Float32Array(array)),
+    treeMatrices: treeMatrices.map(array => new Float32Array(array))
+  };
+}
+
+function clearChunks() {
+  chunks.clear();
+  grassPatches = []; trees = [];
+  poolsDirty = true;
+}
+
+function createInitialVegetation(scene) {
+  clearChunks();
+  createPools();
+  vegetationRoot.removeFromParent();
+  scene.add(vegetationRoot);
+  updateVegetation(scene, 0);
 }
 
 // Main functions
+
+// Set the layout seed; chunks are rebuilt on the next update
+export function setSeed(value) {
+  seed = String(value);
+  clearChunks();
+}
+
+export const getSeed = () => seed;
+
+// Blade density (0-1); chunks are rebuilt on the next update
+export function setDensity(value) {
+  const next = THREE.MathUtils.clamp(value, 0, 1);
+  if (next === density) return;
+  density = next;
+  clearChunks();
+}
+
+export const getDensity = () => density;
+
+// Wind settings: strength (sway in world units), direction ([x, z] or Vector2)
+export function setWind({ strength, direction } = {}) {
+  if (strength !== undefined) wind.strength = strength;
+  if (direction) wind.direction.set(direction.x ?? direction[0], direction.y ?? direction[1]);
+  if (windUniforms) {
+    windUniforms.uWindStrength.value = wind.strength;
+    windUniforms.uWindDirection.value.copy(wind.direction);
+  }
+}
+
+// Gust amount, 0 (calm) to 1 (full gusts) - drive it from audio energy
+export function setWindGust(amount) {
+  wind.gust = THREE.MathUtils.clamp(amount, 0, 1);
+}
+
 export function init(scene, manager) {
   gradientTexture = createGradientTexture();
   
@@ -212,49 +354,52 @@ export function createInitialVegetationWhenReady(scene) {
   if (Object.values(resourcesLoaded).every(Boolean)) createInitialVegetation(scene);
 }
 
-export function updateVegetation(scene, deltaZ = 0.5) {
-  if (!Object.values(resourcesLoaded).every(Boolean)) return { grass: 0, trees: 0 };
+// Scroll the track to the given audio time, building the chunks that are in
+// view and dropping the rest. The result depends only on seed and time
+export function updateVegetation(scene, time) {
+  if (!Object.values(resourcesLoaded).every(Boolean) || !vegetationRoot.parent) return { grass: 0, trees: 0 };
   
-  // Move all vegetation
-  [...grassPatches, ...trees].forEach(obj => obj.position.z += deltaZ);
+  const scroll = time * SCROLL_SPEED;
+  vegetationRoot.position.z = scroll;
   
-  // Remove and create new vegetation
-  // Handle grass patches
-  for (let i = grassPatches.length - 1; i >= 0; i--) {
-    if (grassPatches[i].position.z > REMOVAL_Z) {
-      scene.remove(grassPatches[i]);
-      if (grassPatches[i].geometry) grassPatches[i].geometry.dispose();
-      if (grassPatches[i].material) grassPatches[i].material.dispose();
-      grassPatches.splice(i, 1);
-      createNewVegetation(scene, 'grass');
-    }
+  if (windUniforms) {
+    windUniforms.uWindTime.value = time;
+    windUniforms.uWindGust.value = wind.gust;
   }
   
-  // Handle trees
-  for (let i = trees.length - 1; i >= 0; i--) {
-    if (trees[i].position.z > REMOVAL_Z) {
-      scene.remove(trees[i]);
-      if (trees[i].geometry) trees[i].geometry.dispose();
-      if (trees[i].material) trees[i].material.dispose();
-      trees.splice(i, 1);
-      createNewVegetation(scene, 'tree');
+  // Track z range between the far generation plane and the removal plane behind the camera
+  const firstChunk = Math.floor(-(REMOVAL_Z - scroll) / CHUNK_LENGTH);
+  const lastChunk = Math.floor(-(FAR_Z - scroll) / CHUNK_LENGTH);
+  
+  // Recycling only rewrites instance matrices; no meshes are created or freed
+  for (const index of chunks.keys()) {
+    if (index < firstChunk || index > lastChunk) {
+      chunks.delete(index);
+      poolsDirty = true;
     }
   }
+  for (let index = firstChunk; index <= lastChunk; index++) {
+    if (chunks.has(index)) continue;
+    chunks.set(index, buildChunk(index));
+    poolsDirty = true;
+  }
+  
+  if (poolsDirty) syncPools();
   
   return { grass: grassPatches.length, trees: trees.length };
 }
 
 export const isLoaded = () => Object.values(resourcesLoaded).every(Boolean);
 export const getTreeCount = () => trees.length;
+// Placements ({ x, z, ... } in track space) of the trees and grass patches in view
 export const getAllTrees = () => trees;
 export const getAllGrassPatches = () => grassPatches;
 
 export function dispose() {
-  [...grassPatches, ...trees].forEach(obj => {
-    if (obj.geometry) obj.geometry.dispose();
-    if (obj.material) obj.material.dispose();
-  });
-  grassPatches = []; trees = []; treeModels = [];
+  clearChunks();
+  disposePools();
+  vegetationRoot.removeFromParent();
+  treeModels = [];
   if (cloudTexture) cloudTexture.dispose();
   if (gradientTexture) gradientTexture.dispose();
   resourcesLoaded = { trees: false, grass: false };
@@ -0,0 +1,262 @@
+// video-exporter.js - Offline frame-by-frame export to WebM or a PNG sequence
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+
+const AUDIO_SAMPLE_RATE = 48000; // Opus only encodes at 48 kHz
+const AUDIO_CHUNK_FRAMES = 4800;
+const MAX_ENCODE_QUEUE = 8;
+
+export const RESOLUTIONS = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '1440p': { width: 2560, height: 1440 },
+  '4k': { width: 3840, height: 2160 }
+};
+
+/**
+ * Render frames on a fixed-step clock and encode them. renderFrame(time, deltaTime)
+ * must draw the frame for that time into the canvas; nothing here reads the
+ * wall clock, so slow frames only make the export take longer.
+ * Resolves to a Blob for WebM, or to the frame count for a PNG sequence
+ */
+export async function exportVideo(canvas, {
+  renderFrame,
+  start = 0,
+  duration,
+  fps = 60,
+  format = 'webm',
+  videoBitrate = 20e6,
+  audioBitrate = 192e3,
+  audioBuffer = null,
+  onProgress,
+  signal
+}) {
+  if (!(duration > 0)) throw new Error('Export duration must be positive');
+
+  const sink = format === 'png'
+    ? await createPngSequenceSink({ audioBuffer, start, duration })
+    : await createWebMSink({ width: canvas.width, height: canvas.height, fps, videoBitrate, audioBitrate, audioBuffer, start, duration });
+
+  const frameCount = Math.round(duration * fps);
+  const deltaTime = 1 / fps;
+
+  try {
+    for (let frame = 0; frame < frameCount; frame++) {
+      if (signal?.aborted) throw new Error('Export cancelled');
+
+      renderFrame(start + frame * deltaTime, deltaTime);
+      await sink.addFrame(canvas, frame);
+      onProgress?.(frame + 1, frameCount);
+    }
+    return await sink.finish();
+  } catch (error) {
+    sink.abort();
+    throw error;
+  }
+}
+
+// Save a Blob through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// WebCodecs VP9 (VP8 fallback) video plus Opus audio, muxed in memory
+async function createWebMSink({ width, height, fps, videoBitrate, audioBitrate, audioBuffer, start, duration }) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('WebM export needs WebCodecs (VideoEncoder) support');
+  }
+
+  const video = await getVideoConfig(width, height, fps, videoBitrate);
+  const audioData = audioBuffer ? await resampleAudio(audioBuffer, start, duration) : null;
+  const audio = audioData && typeof AudioEncoder !== 'undefined'
+    ? { codec: 'opus', sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: audioData.numberOfChannels, bitrate: audioBitrate }
+    : null;
+  if (audioData && !audio) console.warn('AudioEncoder not available - exporting without audio');
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: video.muxerCodec, width, height, frameRate: fps },
+    audio: audio ? { codec: 'A_OPUS', sampleRate: audio.sampleRate, numberOfChannels: audio.numberOfChannels } : undefined
+  });
+
+  let encoderError = null;
+  const videoEncoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: error => { encoderError = error; }
+  });
+  videoEncoder.configure(video.config);
+
+  const frameDuration = 1e6 / fps;
+  const keyFrameInterval = Math.round(fps * 2);
+
+  return {
+    async addFrame(canvas, frame) {
+      if (encoderError) throw encoderError;
+
+      const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(frame * frameDuration), duration: Math.round(frameDuration) });
+      videoEncoder.encode(videoFrame, { keyFrame: frame % keyFrameInterval === 0 });
+      videoFrame.close();
+
+      // Don't let the encoder fall too far behind the renderer
+      while (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+    },
+
+    async finish() {
+      await videoEncoder.flush();
+      videoEncoder.close();
+      if (audio) await encodeAudio(audioData, audio, muxer);
+      if (encoderError) throw encoderError;
+
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    },
+
+    abort() {
+      if (videoEncoder.state !== 'closed') videoEncoder.close();
+    }
+  };
+}
+
+async function getVideoConfig(width, height, fps, bitrate) {
+  const candidates = [
+    { codec: 'vp09.00.51.08', muxerCodec: 'V_VP9' },
+    { codec: 'vp8', muxerCodec: 'V_VP8' }
+  ];
+
+  for (const { codec, muxerCodec } of candidates) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return { config, muxerCodec };
+  }
+  throw new Error(`No WebM video encoder supports ${width}x${height}`);
+}
+
+// Encode the whole (already resampled) audio range as Opus
+async function encodeAudio(audioData, config, muxer) {
+  let encoderError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: error => { encoderError = error; }
+  });
+  encoder.configure(config);
+
+  const { numberOfChannels, length } = audioData;
+  for (let offset = 0; offset < length; offset += AUDIO_CHUNK_FRAMES) {
+    const frames = Math.min(AUDIO_CHUNK_FRAMES, length - offset);
+    const planar = new Float32Array(frames * numberOfChannels);
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      planar.set(audioData.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+    }
+
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate: AUDIO_SAMPLE_RATE,
+      numberOfFrames: frames,
+      numberOfChannels,
+      timestamp: Math.round(offset / AUDIO_SAMPLE_RATE * 1e6),
+      data: planar
+    });
+    encoder.encode(data);
+    data.close();
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (encoderError) throw encoderError;
+}
+
+// Numbered PNGs (plus the matching audio as WAV) written into a user-picked folder
+async function createPngSequenceSink({ audioBuffer, start, duration }) {
+  if (typeof window.showDirectoryPicker !== 'function') {
+    throw new Error('PNG sequence export needs the File System Access API');
+  }
+
+  const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+  const pending = new Set();
+  let frameCount = 0;
+  let writeError = null;
+
+  const writeFile = async (name, blob) => {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+  };
+
+  return {
+    async addFrame(canvas, frame) {
+      if (writeError) throw writeError;
+
+      // toBlob snapshots the canvas immediately; the write can finish later
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      const write = writeFile(`frame_${String(frame).padStart(6, '0')}.png`, blob);
+      pending.add(write);
+      write.catch(error => { writeError = error; }).finally(() => pending.delete(write));
+      frameCount++;
+
+      if (pending.size > MAX_ENCODE_QUEUE) await Promise.race(pending);
+    },
+
+    async finish() {
+      await Promise.all(pending);
+      if (writeError) throw writeError;
+      if (audioBuffer) {
+        const audioData = await resampleAudio(audioBuffer, start, duration);
+        await writeFile('audio.wav', encodeWAV(audioData));
+      }
+      return frameCount;
+    },
+
+    abort() {}
+  };
+}
+
+// Cut [start, start + duration] out of the buffer at the export sample rate
+function resampleAudio(audioBuffer, start, duration) {
+  const length = Math.ceil(duration * AUDIO_SAMPLE_RATE);
+  const context = new OfflineAudioContext(audioBuffer.numberOfChannels, length, AUDIO_SAMPLE_RATE);
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(context.destination);
+  source.start(0, start, duration);
+  return context.startRendering();
+}
+
+// 16-bit PCM WAV
+function encodeWAV(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const dataSize = length * numberOfChannels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * 2, true);
+  view.setUint16(32, numberOfChannels * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (const data of channels) {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}